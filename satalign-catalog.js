@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Packs, signs and serves satellite catalog updates for the service worker's update channel (see sw.js)
+//
+//   node satalign-catalog.js keygen --out signing-key.json
+//   node satalign-catalog.js pack catalog.json --version 8 --key signing-key.json --out latest.json
+//   node satalign-catalog.js serve latest.json --port 8787
+//
+// The release key's public half is APP_CONFIG.catalogUpdates.publicKey in index.html; its private half is
+// kept offline by whoever publishes to the production endpoint and never goes in the repository. A local
+// server signs with its own keygen key, whose public JWK goes in the Catalog Updates dialog with its address.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const { webcrypto: { subtle } } = require('crypto');
+const { SATELLITE_DATABASE } = require('./satalign-core.js');
+
+const CATALOG_FORMAT = 'satalign-catalog';
+
+const USAGE = `Usage:
+  satalign-catalog keygen --out <private-key.json>
+      Writes an ECDSA P-256 signing key and prints the public JWK the app verifies catalogs with
+  satalign-catalog pack (<catalog.json> | --bundled) --version <n> --key <private-key.json> [--published <date>] [--out <file>]
+      Wraps a keyed catalog (or { satellites }) in a versioned envelope with its integrity hash and signature
+  satalign-catalog serve <envelope.json> [--port 8787]
+      Local mock endpoint; the file is read on every request, so re-packing publishes a new version`;
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const [command, ...rest] = argv;
+    const options = { command, files: [] };
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            options.files.push(arg);
+        } else if (arg === '--bundled') {
+            options.bundled = true;
+        } else {
+            if (i + 1 >= rest.length) throw new UsageError(`${arg} needs a value`);
+            options[arg.slice(2)] = rest[++i];
+        }
+    }
+    return options;
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (e) {
+        throw new UsageError(`Could not read ${file}: ${e.message}`);
+    }
+}
+
+async function keygen(options) {
+    if (!options.out) throw new UsageError('keygen needs --out');
+    const { privateKey, publicKey } = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    fs.writeFileSync(options.out, `${JSON.stringify(await subtle.exportKey('jwk', privateKey), null, 2)}\n`, { mode: 0o600 });
+    const { kty, crv, x, y } = await subtle.exportKey('jwk', publicKey);
+    return `${JSON.stringify({ kty, crv, x, y })}\n`;
+}
+
+async function pack(options) {
+    const version = Number(options.version);
+    if (!Number.isInteger(version) || version < 1) throw new UsageError('pack needs --version, a whole number from 1');
+    if (!options.bundled && options.files.length !== 1) throw new UsageError('pack needs one catalog file or --bundled');
+    if (!options.key) throw new UsageError('pack needs --key; the app only installs signed catalogs');
+
+    const source = options.bundled ? SATELLITE_DATABASE : readJson(options.files[0]);
+    const satellites = source.satellites || source;
+    const payload = JSON.stringify({ satellites });
+    const bytes = new TextEncoder().encode(payload);
+    const digest = await subtle.digest('SHA-256', bytes);
+
+    const envelope = {
+        format: CATALOG_FORMAT,
+        version,
+        published: new Date(options.published || Date.now()).toISOString(),
+        payload,
+        integrity: `sha256-${Buffer.from(digest).toString('base64')}`
+    };
+    const key = await subtle.importKey('jwk', readJson(options.key), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+    envelope.signature = Buffer.from(await subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, bytes)).toString('base64');
+
+    const text = `${JSON.stringify(envelope, null, 2)}\n`;
+    if (!options.out) return text;
+    fs.writeFileSync(options.out, text);
+    return `Packed ${Object.keys(satellites).length} satellites as signed v${version} into ${options.out}\n`;
+}
+
+function serve(options) {
+    if (options.files.length !== 1) throw new UsageError('serve needs one envelope file');
+    const file = options.files[0];
+    const port = Number(options.port || 8787);
+
+    const server = http.createServer((request, response) => {
+        const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, { ...headers, 'Access-Control-Allow-Methods': 'GET' });
+            response.end();
+            return;
+        }
+        fs.readFile(file, (error, body) => {
+            process.stderr.write(`${new Date().toISOString()} ${request.method} ${request.url} ${error ? 404 : 200}\n`);
+            if (error) {
+                response.writeHead(404, headers);
+                response.end();
+            } else {
+                response.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+                response.end(body);
+            }
+        });
+    });
+    server.listen(port, () => process.stderr.write(`Serving ${file} on http://localhost:${port}/ (Ctrl+C to stop)\n`));
+    return server;
+}
+
+async function main(argv) {
+    try {
+        const options = parseArguments(argv);
+        switch (options.command) {
+            case 'keygen': process.stdout.write(await keygen(options)); return 0;
+            case 'pack': process.stdout.write(await pack(options)); return 0;
+            case 'serve': serve(options); return 0;
+            case undefined: case '--help': case 'help':
+                process.stdout.write(`${USAGE}\n`);
+                return 0;
+            default: throw new UsageError(`Unknown command: ${options.command}`);
+        }
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { keygen, pack, serve, main };
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Command-line look-angle calculator on top of satalign-core.js
+//
+//   node satalign-cli.js --site 30.0444,31.2357 --satellite nilesat
+//   node satalign-cli.js --site 51.5074,-0.1278,35 --all --visible --format csv
+//   node satalign-cli.js verify
+'use strict';
+
+const { SATELLITE_DATABASE, CATALOG_GROUPS, WMM_TEST_VECTORS, GeomagneticModel, LookAngleEngine, SatelliteCatalog } = require('./satalign-core.js');
+
+const USAGE = `Usage: satalign-cli --site <lat,lon[,altitude_m]> (--satellite <query>... | --group <name> | --all) [options]
+       satalign-cli verify [--format json]
+
+  --site        Site latitude, longitude (decimal degrees, south/west negative) and optional altitude in metres
+  --satellite   Catalog key, name or orbital position (7W, 26E, -30); repeatable
+  --group       Catalog group: ${Object.keys(CATALOG_GROUPS).join(', ')}
+  --all         Every satellite in the catalog
+  --visible     Leave out satellites below the horizon
+  --format      text (default), json or csv
+  --date        Date for the magnetic declination (ISO 8601, default today)
+  --help        Show this help
+
+verify runs the official WMM-2025 test values through the declination model and exits with 1 on any mismatch.`;
+
+const FORMATS = ['text', 'json', 'csv'];
+
+const COLUMNS = [
+    ['key', 'Key'],
+    ['name', 'Satellite'],
+    ['position', 'Position'],
+    ['azimuth', 'Azimuth'],
+    ['magneticAzimuth', 'Mag. azimuth'],
+    ['elevation', 'Elevation'],
+    ['skew', 'Skew'],
+    ['distance', 'Distance km'],
+    ['visible', 'Visible']
+];
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const options = { satellites: [], group: null, all: false, visible: false, format: 'text', date: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--site': options.site = parseSite(value()); break;
+            case '--satellite': case '-s': options.satellites.push(value()); break;
+            case '--group': options.group = value(); break;
+            case '--all': options.all = true; break;
+            case '--visible': options.visible = true; break;
+            case '--format': case '-f': options.format = value().toLowerCase(); break;
+            case '--date': options.date = value(); break;
+            case '--help': case '-h': options.help = true; break;
+            default: throw new UsageError(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.help) return options;
+    if (!options.site) throw new UsageError('--site is required');
+    if (!FORMATS.includes(options.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    if (!options.all && !options.group && !options.satellites.length) throw new UsageError('Pick satellites with --satellite, --group or --all');
+    if (options.group && !CATALOG_GROUPS[options.group]) throw new UsageError(`Unknown group: ${options.group}`);
+    if (options.date !== null && isNaN(new Date(options.date).getTime())) throw new UsageError(`Invalid date: ${options.date}`);
+    return options;
+}
+
+function parseSite(text) {
+    const parts = text.split(',').map(part => Number(part.trim()));
+    const [latitude, longitude, altitude = 0] = parts;
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !isFinite(part)) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new UsageError(`Invalid site: ${text}`);
+    }
+    return { latitude, longitude, altitude };
+}
+
+function selectSatellites(catalog, options) {
+    if (options.all) return catalog.list().map(satellite => satellite.key);
+
+    const keys = options.group ? [...CATALOG_GROUPS[options.group]] : [];
+    for (const query of options.satellites) {
+        const matches = catalog.find(query);
+        if (!matches.length) throw new UsageError(`No satellite matches "${query}"`);
+        keys.push(...matches);
+    }
+    return [...new Set(keys)];
+}
+
+function calculate(options) {
+    const catalog = new SatelliteCatalog(SATELLITE_DATABASE);
+    const engine = new LookAngleEngine({ refraction: true });
+    const date = options.date ? new Date(options.date) : new Date();
+    const site = options.site;
+    const field = new GeomagneticModel().calculate(site.latitude, site.longitude, site.altitude / 1000, GeomagneticModel.toDecimalYear(date));
+    const declination = Math.round(field.declination * 100) / 100;
+
+    const rows = selectSatellites(catalog, options).map(key => {
+        const satellite = catalog.get(key);
+        const angles = engine.lookAngles(site, satellite.longitude);
+        return {
+            key,
+            name: satellite.name.en,
+            position: SatelliteCatalog.formatPosition(satellite.longitude),
+            longitude: satellite.longitude,
+            azimuth: angles.azimuth,
+            magneticAzimuth: Math.round(((angles.azimuth - field.declination + 360) % 360) * 100) / 100,
+            elevation: angles.elevation,
+            skew: angles.skew,
+            distance: angles.distance,
+            visible: angles.valid
+        };
+    }).filter(row => row.visible || !options.visible);
+
+    return {
+        site,
+        date: date.toISOString(),
+        declination,
+        model: field.model,
+        withinValidity: field.withinValidity,
+        satellites: rows
+    };
+}
+
+function formatText(result) {
+    const { site } = result;
+    const cell = (row, key) => {
+        const value = row[key];
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        if (typeof value === 'number' && key !== 'distance') return value.toFixed(1);
+        return String(value);
+    };
+    const table = [COLUMNS.map(([, title]) => title), ...result.satellites.map(row => COLUMNS.map(([key]) => cell(row, key)))];
+    const widths = COLUMNS.map((column, index) => Math.max(...table.map(line => line[index].length)));
+    const numeric = COLUMNS.map(([key]) => !['key', 'name', 'position', 'visible'].includes(key));
+    const lines = table.map(line => line.map((text, index) => numeric[index] ? text.padStart(widths[index]) : text.padEnd(widths[index])).join('  ').trimEnd());
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    const header = [
+        `Site: ${site.latitude}, ${site.longitude}, ${site.altitude} m`,
+        `Declination: ${result.declination.toFixed(1)}° (${result.model}${result.withinValidity ? '' : ', outside validity'}) on ${result.date.slice(0, 10)}`
+    ];
+    if (!result.satellites.length) return `${header.join('\n')}\n\nNo satellites to show.\n`;
+    return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+function formatCsv(result) {
+    const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const keys = COLUMNS.map(([key]) => key);
+    const lines = [keys.join(','), ...result.satellites.map(row => keys.map(key => escape(row[key])).join(','))];
+    return `${lines.join('\n')}\n`;
+}
+
+// The official WMM-2025 test values, checked with the same tolerances as GeomagneticModel.verify()
+function verifyModel(format) {
+    const model = new GeomagneticModel();
+    const { passed, failures } = model.verify();
+    const rows = WMM_TEST_VECTORS.map(vector => {
+        const [year, altitude, latitude, longitude, declination, inclination, totalIntensity] = vector;
+        const result = model.calculate(latitude, longitude, altitude, year);
+        return {
+            year, altitude, latitude, longitude,
+            expected: { declination, inclination, totalIntensity },
+            actual: {
+                declination: Math.round(result.declination * 100) / 100,
+                inclination: Math.round(result.inclination * 100) / 100,
+                totalIntensity: Math.round(result.totalIntensity * 10) / 10
+            },
+            passed: !failures.includes(vector)
+        };
+    });
+
+    if (format === 'json') {
+        return `${JSON.stringify({ model: 'WMM-2025', passed, vectors: rows }, null, 2)}\n`;
+    }
+    const lines = rows.map(row => [
+        row.passed ? 'ok  ' : 'FAIL',
+        row.year.toFixed(1),
+        `${String(row.altitude).padStart(3)} km`,
+        `${String(row.latitude).padStart(4)}, ${String(row.longitude).padStart(4)}`,
+        `D ${row.actual.declination.toFixed(2).padStart(7)} (${row.expected.declination.toFixed(2)})`,
+        `I ${row.actual.inclination.toFixed(2).padStart(6)} (${row.expected.inclination.toFixed(2)})`,
+        `F ${row.actual.totalIntensity.toFixed(1).padStart(7)} (${row.expected.totalIntensity.toFixed(1)})`
+    ].join('  '));
+    lines.push('', `${rows.length - failures.length}/${rows.length} WMM-2025 test values match`);
+    return `${lines.join('\n')}\n`;
+}
+
+function main(argv) {
+    if (argv[0] === 'verify') {
+        const format = argv[1] === '--format' ? argv[2] : 'text';
+        if (argv.length > 1 && !(argv.length === 3 && ['text', 'json'].includes(format))) {
+            process.stderr.write(`verify only takes --format text|json\n\n${USAGE}\n`);
+            return 2;
+        }
+        process.stdout.write(verifyModel(format));
+        return new GeomagneticModel().verify().passed ? 0 : 1;
+    }
+
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    let result;
+    try {
+        result = calculate(options);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        process.stderr.write(`${e.message}\n`);
+        return 1;
+    }
+
+    if (options.format === 'json') process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    else if (options.format === 'csv') process.stdout.write(formatCsv(result));
+    else process.stdout.write(formatText(result));
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArguments, calculate, formatText, formatCsv, verifyModel, main };
@@ -0,0 +1,1162 @@
+// SatAlign Pro core: satellite catalog, geomagnetic declination, geostationary look angles,
+// alignment scoring and coordinate parsing.
+//
+// Nothing in here touches the DOM, so the same file serves the web app, which loads it with a
+// plain <script src> and reads the SatAlignCore global, and Node tools, which require() it.
+(function (root, factory) {
+    const core = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        root.SatAlignCore = core;
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Enhanced Satellite Database with Corrected Positions
+    const SATELLITE_DATABASE = {
+        // Arab Satellites
+        'nilesat-201': {
+            name: { en: 'Nilesat 201', ar: 'نايل سات 201' },
+            longitude: -7.0,
+            description: { 
+                en: 'Primary satellite for Middle East and North Africa broadcasting',
+                ar: 'القمر الرئيسي للبث في الشرق الأوسط وشمال أفريقيا'
+            },
+            transponders: [
+                { frequency: 11747, polarization: 'H', band: 'Ku' },
+                { frequency: 11766, polarization: 'V', band: 'Ku' },
+                { frequency: 11785, polarization: 'H', band: 'Ku' },
+                { frequency: 11804, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Egyptian Satellite Company', ar: 'الشركة المصرية للأقمار الصناعية' }
+        },
+        'nilesat-301': {
+            name: { en: 'Nilesat 301', ar: 'نايل سات 301' },
+            longitude: -7.0,
+            description: { 
+                en: 'Latest Nilesat with advanced digital broadcasting',
+                ar: 'أحدث أقمار نايل سات بالبث الرقمي المتقدم'
+            },
+            transponders: [
+                { frequency: 11823, polarization: 'H', band: 'Ku' },
+                { frequency: 11842, polarization: 'V', band: 'Ku' },
+                { frequency: 11861, polarization: 'H', band: 'Ku' },
+                { frequency: 11880, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Egyptian Satellite Company', ar: 'الشركة المصرية للأقمار الصناعية' }
+        },
+        'arabsat-5a': {
+            name: { en: 'Arabsat 5A (Badr-4)', ar: 'عربسات 5A (بدر-4)' },
+            longitude: 30.5,
+            description: { 
+                en: 'Advanced satellite covering MENA and Europe',
+                ar: 'قمر متطور يغطي الشرق الأوسط وأوروبا'
+            },
+            transponders: [
+                { frequency: 11996, polarization: 'V', band: 'Ku' },
+                { frequency: 12015, polarization: 'H', band: 'Ku' },
+                { frequency: 12034, polarization: 'V', band: 'Ku' },
+                { frequency: 12053, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'Arabsat', ar: 'عربسات' }
+        },
+        'arabsat-5c': {
+            name: { en: 'Arabsat 5C (Badr-5)', ar: 'عربسات 5C (بدر-5)' },
+            longitude: 20.0,
+            description: { 
+                en: 'Premium broadcasting services for Arab region',
+                ar: 'خدمات بث فائقة للمنطقة العربية'
+            },
+            transponders: [
+                { frequency: 11900, polarization: 'V', band: 'Ku' },
+                { frequency: 11919, polarization: 'H', band: 'Ku' },
+                { frequency: 11938, polarization: 'V', band: 'Ku' },
+                { frequency: 11957, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'Arabsat', ar: 'عربسات' }
+        },
+        'badr-6': {
+            name: { en: 'Badr 6 (Arabsat-6A)', ar: 'بدر 6 (عربسات-6A)' },
+            longitude: 26.0,
+            description: { 
+                en: 'Latest generation Badr satellite',
+                ar: 'أحدث جيل من أقمار بدر'
+            },
+            transponders: [
+                { frequency: 12110, polarization: 'V', band: 'Ku' },
+                { frequency: 12129, polarization: 'H', band: 'Ku' },
+                { frequency: 12148, polarization: 'V', band: 'Ku' },
+                { frequency: 12167, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'Arabsat', ar: 'عربسات' }
+        },
+        'badr-7': {
+            name: { en: 'Badr 7 (Arabsat-6B)', ar: 'بدر 7 (عربسات-6B)' },
+            longitude: 26.0,
+            description: { 
+                en: 'Ultra-modern satellite technology',
+                ar: 'تقنية الأقمار فائقة الحداثة'
+            },
+            transponders: [
+                { frequency: 12205, polarization: 'H', band: 'Ku' },
+                { frequency: 12224, polarization: 'V', band: 'Ku' },
+                { frequency: 12243, polarization: 'H', band: 'Ku' },
+                { frequency: 12262, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Arabsat', ar: 'عربسات' }
+        },
+
+        // European Satellites
+        'hotbird-13f': {
+            name: { en: 'Hotbird 13F', ar: 'هوت بيرد 13F' },
+            longitude: 13.0,
+            description: { 
+                en: 'Primary European broadcasting satellite',
+                ar: 'القمر الأوروبي الرئيسي للبث'
+            },
+            transponders: [
+                { frequency: 10723, polarization: 'H', band: 'Ku' },
+                { frequency: 10742, polarization: 'V', band: 'Ku' },
+                { frequency: 10761, polarization: 'H', band: 'Ku' },
+                { frequency: 10780, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Eutelsat', ar: 'يوتلسات' }
+        },
+        'hotbird-13g': {
+            name: { en: 'Hotbird 13G', ar: 'هوت بيرد 13G' },
+            longitude: 13.0,
+            description: { 
+                en: 'Next-generation Hotbird satellite',
+                ar: 'الجيل التالي من هوت بيرد'
+            },
+            transponders: [
+                { frequency: 10818, polarization: 'V', band: 'Ku' },
+                { frequency: 10837, polarization: 'H', band: 'Ku' },
+                { frequency: 10856, polarization: 'V', band: 'Ku' },
+                { frequency: 10875, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'Eutelsat', ar: 'يوتلسات' }
+        },
+        'astra-1kr': {
+            name: { en: 'Astra 1KR', ar: 'أسترا 1KR' },
+            longitude: 19.2,
+            description: { 
+                en: 'Advanced European satellite for HD broadcasting',
+                ar: 'قمر أوروبي متقدم للبث عالي الدقة'
+            },
+            transponders: [
+                { frequency: 10714, polarization: 'H', band: 'Ku' },
+                { frequency: 10744, polarization: 'V', band: 'Ku' },
+                { frequency: 10773, polarization: 'H', band: 'Ku' },
+                { frequency: 10803, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'SES', ar: 'إس إي إس' }
+        },
+        'astra-1l': {
+            name: { en: 'Astra 1L', ar: 'أسترا 1L' },
+            longitude: 19.2,
+            description: { 
+                en: 'Modern Astra satellite with enhanced capacity',
+                ar: 'قمر أسترا حديث بسعة محسنة'
+            },
+            transponders: [
+                { frequency: 10862, polarization: 'V', band: 'Ku' },
+                { frequency: 10891, polarization: 'H', band: 'Ku' },
+                { frequency: 10920, polarization: 'V', band: 'Ku' },
+                { frequency: 10949, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'SES', ar: 'إس إي إس' }
+        },
+        'eutelsat-16a': {
+            name: { en: 'Eutelsat 16A', ar: 'يوتلسات 16A' },
+            longitude: 16.0,
+            description: { 
+                en: 'Comprehensive European satellite',
+                ar: 'قمر أوروبي شامل'
+            },
+            transponders: [
+                { frequency: 11595, polarization: 'H', band: 'Ku' },
+                { frequency: 11623, polarization: 'V', band: 'Ku' },
+                { frequency: 11652, polarization: 'H', band: 'Ku' },
+                { frequency: 11680, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Eutelsat', ar: 'يوتلسات' }
+        },
+
+        // Other International Satellites
+        'turksat-4a': {
+            name: { en: 'Turksat 4A', ar: 'تورك سات 4A' },
+            longitude: 42.0,
+            description: { 
+                en: 'Primary Turkish satellite',
+                ar: 'القمر التركي الرئيسي'
+            },
+            transponders: [
+                { frequency: 11957, polarization: 'V', band: 'Ku' },
+                { frequency: 11975, polarization: 'H', band: 'Ku' },
+                { frequency: 12034, polarization: 'V', band: 'Ku' },
+                { frequency: 12053, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'Turksat', ar: 'تورك سات' }
+        },
+        'turksat-4b': {
+            name: { en: 'Turksat 4B', ar: 'تورك سات 4B' },
+            longitude: 42.0,
+            description: { 
+                en: 'Advanced Turksat satellite',
+                ar: 'قمر تورك سات متقدم'
+            },
+            transponders: [
+                { frequency: 12091, polarization: 'H', band: 'Ku' },
+                { frequency: 12110, polarization: 'V', band: 'Ku' },
+                { frequency: 12129, polarization: 'H', band: 'Ku' },
+                { frequency: 12148, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Turksat', ar: 'تورك سات' }
+        },
+        'hispasat-30w-6': {
+            name: { en: 'Hispasat 30W-6', ar: 'هيسباسات 30W-6' },
+            longitude: -30.0,
+            description: { 
+                en: 'Atlantic satellite covering Americas and Europe',
+                ar: 'قمر أطلسي يغطي الأمريكتين وأوروبا'
+            },
+            transponders: [
+                { frequency: 11876, polarization: 'H', band: 'Ku' },
+                { frequency: 11934, polarization: 'V', band: 'Ku' },
+                { frequency: 11992, polarization: 'H', band: 'Ku' },
+                { frequency: 12051, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Hispasat', ar: 'هيسباسات' }
+        },
+        'intelsat-33e': {
+            name: { en: 'Intelsat 33e', ar: 'إنتلسات 33e' },
+            longitude: 60.0,
+            description: { 
+                en: 'High-throughput satellite for Asia Pacific',
+                ar: 'قمر عالي الإنتاجية لآسيا المحيط الهادئ'
+            },
+            transponders: [
+                { frequency: 11135, polarization: 'H', band: 'Ku' },
+                { frequency: 11175, polarization: 'V', band: 'Ku' },
+                { frequency: 11215, polarization: 'H', band: 'Ku' },
+                { frequency: 11255, polarization: 'V', band: 'Ku' }
+            ],
+            operator: { en: 'Intelsat', ar: 'إنتلسات' }
+        },
+        'amos-17': {
+            name: { en: 'Amos 17', ar: 'عاموس 17' },
+            longitude: 17.0,
+            description: { 
+                en: 'Modern satellite covering Africa and Middle East',
+                ar: 'قمر حديث يغطي أفريقيا والشرق الأوسط'
+            },
+            transponders: [
+                { frequency: 10843, polarization: 'V', band: 'Ku' },
+                { frequency: 10883, polarization: 'H', band: 'Ku' },
+                { frequency: 10923, polarization: 'V', band: 'Ku' },
+                { frequency: 10963, polarization: 'H', band: 'Ku' }
+            ],
+            operator: { en: 'Spacecom', ar: 'سبيس كوم' }
+        }
+    };
+
+    // Catalog groups shown in the satellite selector
+    const CATALOG_GROUPS = {
+        arab: ['nilesat-201', 'nilesat-301', 'arabsat-5a', 'arabsat-5c', 'badr-6', 'badr-7'],
+        european: ['hotbird-13f', 'hotbird-13g', 'astra-1kr', 'astra-1l', 'eutelsat-16a'],
+        other: ['turksat-4a', 'turksat-4b', 'hispasat-30w-6', 'intelsat-33e', 'amos-17']
+    };
+
+    // World Magnetic Model WMM-2025 (NOAA NCEI / BGS), valid 2025.0 - 2030.0
+    // Rows: [n, m, g (nT), h (nT), secular g (nT/yr), secular h (nT/yr)]
+    const WMM_MODEL = {
+        name: 'WMM-2025',
+        epoch: 2025.0,
+        validUntil: 2030.0,
+        referenceRadius: 6371.2, // km
+        maxDegree: 12,
+        coefficients: [
+            [1, 0, -29351.8, 0.0, 12.0, 0.0],
+            [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+            [2, 0, -2556.6, 0.0, -11.6, 0.0],
+            [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+            [2, 2, 1649.3, -815.1, -8.0, -12.1],
+            [3, 0, 1361.0, 0.0, -1.3, 0.0],
+            [3, 1, -2404.1, -56.6, -4.2, 4.0],
+            [3, 2, 1243.8, 237.5, 0.4, -0.3],
+            [3, 3, 453.6, -549.5, -15.6, -4.1],
+            [4, 0, 895.0, 0.0, -1.6, 0.0],
+            [4, 1, 799.5, 278.6, -2.4, -1.1],
+            [4, 2, 55.7, -133.9, -6.0, 4.1],
+            [4, 3, -281.1, 212.0, 5.6, 1.6],
+            [4, 4, 12.1, -375.6, -7.0, -4.4],
+            [5, 0, -233.2, 0.0, 0.6, 0.0],
+            [5, 1, 368.9, 45.4, 1.4, -0.5],
+            [5, 2, 187.2, 220.2, 0.0, 2.2],
+            [5, 3, -138.7, -122.9, 0.6, 0.4],
+            [5, 4, -142.0, 43.0, 2.2, 1.7],
+            [5, 5, 20.9, 106.1, 0.9, 1.9],
+            [6, 0, 64.4, 0.0, -0.2, 0.0],
+            [6, 1, 63.8, -18.4, -0.4, 0.3],
+            [6, 2, 76.9, 16.8, 0.9, -1.6],
+            [6, 3, -115.7, 48.8, 1.2, -0.4],
+            [6, 4, -40.9, -59.8, -0.9, 0.9],
+            [6, 5, 14.9, 10.9, 0.3, 0.7],
+            [6, 6, -60.7, 72.7, 0.9, 0.9],
+            [7, 0, 79.5, 0.0, 0.0, 0.0],
+            [7, 1, -77.0, -48.9, -0.1, 0.6],
+            [7, 2, -8.8, -14.4, -0.1, 0.5],
+            [7, 3, 59.3, -1.0, 0.5, -0.8],
+            [7, 4, 15.8, 23.4, -0.1, 0.0],
+            [7, 5, 2.5, -7.4, -0.8, -1.0],
+            [7, 6, -11.1, -25.1, -0.8, 0.6],
+            [7, 7, 14.2, -2.3, 0.8, -0.2],
+            [8, 0, 23.2, 0.0, -0.1, 0.0],
+            [8, 1, 10.8, 7.1, 0.2, -0.2],
+            [8, 2, -17.5, -12.6, 0.0, 0.5],
+            [8, 3, 2.0, 11.4, 0.5, -0.4],
+            [8, 4, -21.7, -9.7, -0.1, 0.4],
+            [8, 5, 16.9, 12.7, 0.3, -0.5],
+            [8, 6, 15.0, 0.7, 0.2, -0.6],
+            [8, 7, -16.8, -5.2, 0.0, 0.3],
+            [8, 8, 0.9, 3.9, 0.2, 0.2],
+            [9, 0, 4.6, 0.0, 0.0, 0.0],
+            [9, 1, 7.8, -24.8, -0.1, -0.3],
+            [9, 2, 3.0, 12.2, 0.1, 0.3],
+            [9, 3, -0.2, 8.3, 0.3, -0.3],
+            [9, 4, -2.5, -3.3, -0.3, 0.3],
+            [9, 5, -13.1, -5.2, 0.0, 0.2],
+            [9, 6, 2.4, 7.2, 0.3, -0.1],
+            [9, 7, 8.6, -0.6, -0.1, -0.2],
+            [9, 8, -8.7, 0.8, 0.1, 0.4],
+            [9, 9, -12.9, 10.0, -0.1, 0.1],
+            [10, 0, -1.3, 0.0, 0.1, 0.0],
+            [10, 1, -6.4, 3.3, 0.0, 0.0],
+            [10, 2, 0.2, 0.0, 0.1, 0.0],
+            [10, 3, 2.0, 2.4, 0.1, -0.2],
+            [10, 4, -1.0, 5.3, 0.0, 0.1],
+            [10, 5, -0.6, -9.1, -0.3, -0.1],
+            [10, 6, -0.9, 0.4, 0.0, 0.1],
+            [10, 7, 1.5, -4.2, -0.1, 0.0],
+            [10, 8, 0.9, -3.8, -0.1, -0.1],
+            [10, 9, -2.7, 0.9, 0.0, 0.2],
+            [10, 10, -3.9, -9.1, 0.0, 0.0],
+            [11, 0, 2.9, 0.0, 0.0, 0.0],
+            [11, 1, -1.5, 0.0, 0.0, 0.0],
+            [11, 2, -2.5, 2.9, 0.0, 0.1],
+            [11, 3, 2.4, -0.6, 0.0, 0.0],
+            [11, 4, -0.6, 0.2, 0.0, 0.1],
+            [11, 5, -0.1, 0.5, -0.1, 0.0],
+            [11, 6, -0.6, -0.3, 0.0, 0.0],
+            [11, 7, -0.1, -1.2, 0.0, 0.1],
+            [11, 8, 1.1, -1.7, -0.1, 0.0],
+            [11, 9, -1.0, -2.9, -0.1, 0.0],
+            [11, 10, -0.2, -1.8, -0.1, 0.0],
+            [11, 11, 2.6, -2.3, -0.1, 0.0],
+            [12, 0, -2.0, 0.0, 0.0, 0.0],
+            [12, 1, -0.2, -1.3, 0.0, 0.0],
+            [12, 2, 0.3, 0.7, 0.0, 0.0],
+            [12, 3, 1.2, 1.0, 0.0, -0.1],
+            [12, 4, -1.3, -1.4, 0.0, 0.1],
+            [12, 5, 0.6, 0.0, 0.0, 0.0],
+            [12, 6, 0.6, 0.6, 0.1, 0.0],
+            [12, 7, 0.5, -0.1, 0.0, 0.0],
+            [12, 8, -0.1, 0.8, 0.0, 0.0],
+            [12, 9, -0.4, 0.1, 0.0, 0.0],
+            [12, 10, -0.2, -1.0, -0.1, 0.0],
+            [12, 11, -1.3, 0.1, 0.0, 0.0],
+            [12, 12, -0.7, 0.2, -0.1, -0.1]
+        ]
+    };
+
+    // Official WMM-2025 test values: [decimalYear, altitudeKm, lat, lon, declination, inclination, totalIntensity]
+    const WMM_TEST_VECTORS = [
+        [2025.0, 28, 89, -121, -99.77, 88.47, 56214.4],
+        [2025.0, 48, 80, -96, -29.91, 87.77, 55665.1],
+        [2025.0, 65, 43, 93, 0.50, 64.10, 55626.6],
+        [2025.0, 51, -33, 109, -5.49, -67.50, 57054.8],
+        [2025.0, 18, 0, 21, 1.29, -26.06, 32594.8],
+        [2025.5, 63, 26, 81, 0.51, 41.07, 46166.6],
+        [2025.5, 44, 33, -118, 11.10, 57.89, 44542.8],
+        [2026.0, 46, -24, -122, 14.01, -34.17, 32194.9],
+        [2026.0, 34, -19, 43, -14.98, -52.33, 33077.0],
+        [2026.5, 12, 33, -145, 11.96, 52.51, 40536.1],
+        [2027.0, 38, 27, -169, 8.48, 42.66, 35501.7],
+        [2027.5, 60, 27, 65, 1.85, 42.83, 45108.1],
+        [2028.0, 71, 5, -13, -6.47, -17.66, 29724.2],
+        [2028.5, 11, 34, 0, 1.57, 46.77, 42471.3],
+        [2029.0, 57, 34, -13, -1.89, 45.74, 40488.6],
+        [2029.5, 33, 17, 5, 0.89, 13.77, 35033.6]
+    ];
+
+    // Spherical harmonic evaluation of the World Magnetic Model
+    class GeomagneticModel {
+        constructor(model = WMM_MODEL) {
+            this.model = model;
+            this.maxDegree = model.maxDegree;
+
+            // WGS84 ellipsoid
+            this.semiMajorAxis = 6378.137; // km
+            this.flattening = 1 / 298.257223563;
+            this.eccentricitySquared = this.flattening * (2 - this.flattening);
+
+            // Index coefficients by degree/order
+            const size = this.maxDegree + 1;
+            this.g = Array.from({ length: size }, () => new Float64Array(size));
+            this.h = Array.from({ length: size }, () => new Float64Array(size));
+            this.gDot = Array.from({ length: size }, () => new Float64Array(size));
+            this.hDot = Array.from({ length: size }, () => new Float64Array(size));
+            model.coefficients.forEach(([n, m, g, h, gDot, hDot]) => {
+                this.g[n][m] = g;
+                this.h[n][m] = h;
+                this.gDot[n][m] = gDot;
+                this.hDot[n][m] = hDot;
+            });
+
+            // Schmidt semi-normalization factors and Legendre recursion constants
+            this.schmidt = Array.from({ length: size }, () => new Float64Array(size));
+            this.recursionK = Array.from({ length: size }, () => new Float64Array(size));
+            this.schmidt[0][0] = 1;
+            for (let n = 1; n <= this.maxDegree; n++) {
+                this.schmidt[n][0] = this.schmidt[n - 1][0] * (2 * n - 1) / n;
+                for (let m = 1; m <= n; m++) {
+                    const factor = (m === 1 ? 2 : 1) * (n - m + 1) / (n + m);
+                    this.schmidt[n][m] = this.schmidt[n][m - 1] * Math.sqrt(factor);
+                }
+                for (let m = 0; m <= n; m++) {
+                    this.recursionK[n][m] = n > 1 ?
+                        ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3)) : 0;
+                }
+            }
+        }
+
+        static toDecimalYear(date = new Date()) {
+            const year = date.getUTCFullYear();
+            const start = Date.UTC(year, 0, 1);
+            const end = Date.UTC(year + 1, 0, 1);
+            return year + (date.getTime() - start) / (end - start);
+        }
+
+        // Geodetic latitude/longitude (deg), altitude above the ellipsoid (km), decimal year
+        calculate(latitude, longitude, altitudeKm = 0, decimalYear = GeomagneticModel.toDecimalYear()) {
+            const degToRad = Math.PI / 180;
+            const radToDeg = 180 / Math.PI;
+            const maxDegree = this.maxDegree;
+            const dt = decimalYear - this.model.epoch;
+
+            // Geodetic to geocentric spherical coordinates
+            const latRad = latitude * degToRad;
+            const lonRad = longitude * degToRad;
+            const sinLat = Math.sin(latRad);
+            const cosLat = Math.cos(latRad);
+            const primeVertical = this.semiMajorAxis / Math.sqrt(1 - this.eccentricitySquared * sinLat * sinLat);
+            const p = (primeVertical + altitudeKm) * cosLat;
+            const z = (primeVertical * (1 - this.eccentricitySquared) + altitudeKm) * sinLat;
+            const radius = Math.sqrt(p * p + z * z);
+            const geocentricLat = Math.asin(z / radius);
+
+            // Colatitude terms, kept away from the exact pole
+            const cosTheta = Math.sin(geocentricLat);
+            const sinTheta = Math.max(Math.cos(geocentricLat), 1e-10);
+
+            // Gauss-normalized associated Legendre functions and their colatitude derivatives
+            const size = maxDegree + 1;
+            const P = Array.from({ length: size }, () => new Float64Array(size));
+            const dP = Array.from({ length: size }, () => new Float64Array(size));
+            P[0][0] = 1;
+            for (let n = 1; n <= maxDegree; n++) {
+                for (let m = 0; m <= n; m++) {
+                    if (n === m) {
+                        P[n][m] = sinTheta * P[n - 1][m - 1];
+                        dP[n][m] = sinTheta * dP[n - 1][m - 1] + cosTheta * P[n - 1][m - 1];
+                    } else {
+                        const twoBack = n > 1 && m <= n - 2;
+                        P[n][m] = cosTheta * P[n - 1][m] - (twoBack ? this.recursionK[n][m] * P[n - 2][m] : 0);
+                        dP[n][m] = cosTheta * dP[n - 1][m] - sinTheta * P[n - 1][m] -
+                            (twoBack ? this.recursionK[n][m] * dP[n - 2][m] : 0);
+                    }
+                }
+            }
+
+            // Sum the field components in the geocentric frame
+            const ratio = this.model.referenceRadius / radius;
+            let radialSum = 0;
+            let thetaSum = 0;
+            let phiSum = 0;
+            let ratioPower = ratio * ratio;
+
+            for (let n = 1; n <= maxDegree; n++) {
+                ratioPower *= ratio;
+                for (let m = 0; m <= n; m++) {
+                    const g = this.g[n][m] + dt * this.gDot[n][m];
+                    const h = this.h[n][m] + dt * this.hDot[n][m];
+                    const cosM = Math.cos(m * lonRad);
+                    const sinM = Math.sin(m * lonRad);
+                    const pnm = this.schmidt[n][m] * P[n][m];
+                    const dpnm = this.schmidt[n][m] * dP[n][m];
+                    const harmonic = g * cosM + h * sinM;
+
+                    radialSum += ratioPower * (n + 1) * harmonic * pnm;
+                    thetaSum += ratioPower * harmonic * dpnm;
+                    phiSum += ratioPower * m * (g * sinM - h * cosM) * pnm;
+                }
+            }
+
+            const northGeocentric = thetaSum;
+            const east = phiSum / sinTheta;
+            const downGeocentric = -radialSum;
+
+            // Rotate back to the geodetic frame
+            const psi = geocentricLat - latRad;
+            const north = northGeocentric * Math.cos(psi) - downGeocentric * Math.sin(psi);
+            const down = northGeocentric * Math.sin(psi) + downGeocentric * Math.cos(psi);
+
+            const horizontalIntensity = Math.sqrt(north * north + east * east);
+            const totalIntensity = Math.sqrt(horizontalIntensity * horizontalIntensity + down * down);
+
+            return {
+                declination: Math.atan2(east, north) * radToDeg,
+                inclination: Math.atan2(down, horizontalIntensity) * radToDeg,
+                totalIntensity,
+                horizontalIntensity,
+                north,
+                east,
+                down,
+                decimalYear,
+                model: this.model.name,
+                // WMM blackout / caution zones near the magnetic poles
+                reliability: horizontalIntensity < 2000 ? 'unreliable' :
+                    horizontalIntensity < 6000 ? 'caution' : 'good',
+                withinValidity: decimalYear >= this.model.epoch && decimalYear < this.model.validUntil
+            };
+        }
+
+        // Check the implementation against the official test values
+        verify(vectors = WMM_TEST_VECTORS) {
+            const failures = vectors.filter(([year, alt, lat, lon, decl, incl, total]) => {
+                const result = this.calculate(lat, lon, alt, year);
+                return Math.abs(result.declination - decl) > 0.01 ||
+                    Math.abs(result.inclination - incl) > 0.01 ||
+                    Math.abs(result.totalIntensity - total) > 1;
+            });
+
+            return { passed: failures.length === 0, total: vectors.length, failures };
+        }
+    }
+
+    // Geostationary look angles on the WGS84 ellipsoid
+    //
+    // Azimuth is true (clockwise from geographic north), elevation is above the local
+    // horizontal plane. LNB skew is the rotation the LNB needs, in degrees, positive when
+    // turned clockwise as seen from behind the dish looking towards the satellite, so a
+    // satellite west of a northern-hemisphere site gives a positive skew.
+    class LookAngleEngine {
+        constructor(options = {}) {
+            this.options = {
+                refraction: false,
+                pressure: 1010, // hPa
+                temperature: 10, // °C
+                ...options
+            };
+
+            // WGS84 ellipsoid and geostationary orbit
+            this.semiMajorAxis = 6378.137; // km
+            this.flattening = 1 / 298.257223563;
+            this.eccentricitySquared = this.flattening * (2 - this.flattening);
+            this.geostationaryRadius = 42164.17; // km from Earth's centre
+        }
+
+        // Geodetic latitude/longitude (deg) and height above the ellipsoid (m) to ECEF (km)
+        geodeticToEcef(latitude, longitude, altitude = 0) {
+            const latRad = latitude * Math.PI / 180;
+            const lonRad = longitude * Math.PI / 180;
+            const sinLat = Math.sin(latRad);
+            const cosLat = Math.cos(latRad);
+            const heightKm = altitude / 1000;
+            const primeVertical = this.semiMajorAxis / Math.sqrt(1 - this.eccentricitySquared * sinLat * sinLat);
+
+            return [
+                (primeVertical + heightKm) * cosLat * Math.cos(lonRad),
+                (primeVertical + heightKm) * cosLat * Math.sin(lonRad),
+                (primeVertical * (1 - this.eccentricitySquared) + heightKm) * sinLat
+            ];
+        }
+
+        satelliteEcef(satelliteLongitude) {
+            const lonRad = satelliteLongitude * Math.PI / 180;
+            return [
+                this.geostationaryRadius * Math.cos(lonRad),
+                this.geostationaryRadius * Math.sin(lonRad),
+                0
+            ];
+        }
+
+        // Local east/north/up unit vectors of the site, expressed in ECEF
+        topocentricBasis(latitude, longitude) {
+            const latRad = latitude * Math.PI / 180;
+            const lonRad = longitude * Math.PI / 180;
+            const sinLat = Math.sin(latRad);
+            const cosLat = Math.cos(latRad);
+            const sinLon = Math.sin(lonRad);
+            const cosLon = Math.cos(lonRad);
+
+            return {
+                east: [-sinLon, cosLon, 0],
+                north: [-sinLat * cosLon, -sinLat * sinLon, cosLat],
+                up: [cosLat * cosLon, cosLat * sinLon, sinLat]
+            };
+        }
+
+        // Apparent minus true elevation in degrees (Saemundsson), scaled for pressure and temperature
+        refractionCorrection(trueElevation) {
+            if (trueElevation < -1 || trueElevation > 89.9) {
+                return 0;
+            }
+
+            const arcMinutes = 1.02 / Math.tan((trueElevation + 10.3 / (trueElevation + 5.11)) * Math.PI / 180);
+            const scale = (this.options.pressure / 1010) * (283 / (273 + this.options.temperature));
+            return Math.max(0, arcMinutes * scale / 60);
+        }
+
+        calculate(site, satelliteLongitude, options = {}) {
+            const settings = { ...this.options, ...options };
+            const { latitude, longitude, altitude = 0 } = site;
+            const observer = this.geodeticToEcef(latitude, longitude, altitude);
+            const satellite = this.satelliteEcef(satelliteLongitude);
+            const basis = this.topocentricBasis(latitude, longitude);
+
+            const lineOfSight = LookAngleEngine.subtract(satellite, observer);
+            const slantRange = LookAngleEngine.norm(lineOfSight);
+            const direction = LookAngleEngine.scale(lineOfSight, 1 / slantRange);
+
+            const east = LookAngleEngine.dot(direction, basis.east);
+            const north = LookAngleEngine.dot(direction, basis.north);
+            const up = LookAngleEngine.dot(direction, basis.up);
+
+            const azimuth = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+            const trueElevation = Math.atan2(up, Math.hypot(east, north)) * 180 / Math.PI;
+            const refraction = settings.refraction ? this.refractionCorrection(trueElevation) : 0;
+            const elevation = trueElevation + refraction;
+
+            // Polarization references at the satellite: horizontal lies in the equatorial plane,
+            // vertical is parallel to Earth's axis
+            const satLonRad = satelliteLongitude * Math.PI / 180;
+            const horizontalPolarization = [-Math.sin(satLonRad), Math.cos(satLonRad), 0];
+            const verticalPolarization = [0, 0, 1];
+
+            const skewHorizontal = this.polarizationSkew(horizontalPolarization, direction, basis.up, false);
+            const skewVertical = this.polarizationSkew(verticalPolarization, direction, basis.up, true);
+
+            return {
+                azimuth,
+                elevation,
+                trueElevation,
+                refraction,
+                skew: skewHorizontal,
+                skewHorizontal,
+                skewVertical,
+                slantRange,
+                visible: elevation > 0
+            };
+        }
+
+        // Angle between an incoming polarization and the dish's own horizontal (or vertical)
+        // reference, measured in the aperture plane
+        polarizationSkew(polarization, direction, up, vertical) {
+            const projectOnAperture = (vector) => {
+                const projected = LookAngleEngine.subtract(
+                    vector,
+                    LookAngleEngine.scale(direction, LookAngleEngine.dot(vector, direction))
+                );
+                const length = LookAngleEngine.norm(projected);
+                return length > 1e-9 ? LookAngleEngine.scale(projected, 1 / length) : null;
+            };
+
+            // Looking straight up there is no horizon to measure against
+            const apertureUp = projectOnAperture(up);
+            if (!apertureUp) {
+                return 0;
+            }
+            const apertureRight = LookAngleEngine.cross(direction, apertureUp);
+            const incoming = projectOnAperture(polarization);
+
+            // Counter-clockwise angle from the reference axis as seen looking at the satellite
+            const angle = vertical ?
+                Math.atan2(-LookAngleEngine.dot(incoming, apertureRight), LookAngleEngine.dot(incoming, apertureUp)) :
+                Math.atan2(LookAngleEngine.dot(incoming, apertureUp), LookAngleEngine.dot(incoming, apertureRight));
+
+            // Linear polarization is axial, so fold into (-90°, 90°] and report clockwise-positive
+            let skew = -angle * 180 / Math.PI;
+            if (skew > 90) skew -= 180;
+            if (skew <= -90) skew += 180;
+            return skew;
+        }
+
+        // Rounded look angles as the app and the command line show them
+        lookAngles(site, satelliteLongitude) {
+            const angles = this.calculate(site, satelliteLongitude);
+            const round = (value) => Math.round(value * 100) / 100;
+
+            return {
+                azimuth: round(angles.azimuth),
+                elevation: round(angles.elevation),
+                trueElevation: round(angles.trueElevation),
+                refraction: round(angles.refraction),
+                skew: round(angles.skewHorizontal),
+                skewVertical: round(angles.skewVertical),
+                distance: Math.round(angles.slantRange),
+                valid: angles.visible
+            };
+        }
+
+        static subtract(a, b) {
+            return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+        }
+
+        static scale(a, factor) {
+            return [a[0] * factor, a[1] * factor, a[2] * factor];
+        }
+
+        static dot(a, b) {
+            return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        }
+
+        static cross(a, b) {
+            return [
+                a[1] * b[2] - a[2] * b[1],
+                a[2] * b[0] - a[0] * b[2],
+                a[0] * b[1] - a[1] * b[0]
+            ];
+        }
+
+        static norm(a) {
+            return Math.sqrt(LookAngleEngine.dot(a, a));
+        }
+    }
+
+    // Alignment scoring
+    //
+    // How close the device's heading and tilt are to a satellite's look angles, as 0-100. Azimuth
+    // is weighted more heavily: a heading error loses the signal faster than the same tilt error.
+    const ALIGNMENT_LEVELS = [['perfect', 95], ['excellent', 85], ['good', 70], ['fair', 50], ['poor', 30]];
+    const ALIGNMENT_TOLERANCE = { heading: 2, tilt: 1 }; // degrees before a correction is suggested
+
+    class AlignmentScorer {
+        static angleDifference(angle1, angle2) {
+            const diff = Math.abs(angle1 - angle2);
+            return Math.min(diff, 360 - diff);
+        }
+
+        // pointing: { heading, tilt } of the device; target: { azimuth, elevation } look angles.
+        // headingError is signed (+ = turn right) so the direction stays right across north.
+        static evaluate(pointing, target) {
+            const headingDiff = AlignmentScorer.angleDifference(pointing.heading, target.azimuth);
+            const tiltDiff = Math.abs(pointing.tilt - target.elevation);
+            const azimuthAccuracy = Math.max(0, 100 - (headingDiff * 3));
+            const elevationAccuracy = Math.max(0, 100 - (tiltDiff * 5));
+            const accuracy = azimuthAccuracy * 0.7 + elevationAccuracy * 0.3;
+
+            return {
+                accuracy,
+                status: AlignmentScorer.status(accuracy),
+                headingError: ((target.azimuth - pointing.heading + 540) % 360) - 180,
+                tiltError: target.elevation - pointing.tilt
+            };
+        }
+
+        // perfect | excellent | good | fair | poor | none
+        static status(accuracy) {
+            const level = ALIGNMENT_LEVELS.find(([, minimum]) => accuracy >= minimum);
+            return level ? level[0] : 'none';
+        }
+
+        // Turn/tilt corrections, heading before tilt
+        static instructions(headingError, tiltError) {
+            const instructions = [];
+            if (Math.abs(headingError) > ALIGNMENT_TOLERANCE.heading) {
+                instructions.push({ key: headingError > 0 ? 'turnRight' : 'turnLeft', cue: headingError > 0 ? 'turn-right' : 'turn-left', degrees: Math.abs(headingError) });
+            }
+            if (Math.abs(tiltError) > ALIGNMENT_TOLERANCE.tilt) {
+                instructions.push({ key: tiltError > 0 ? 'tiltUp' : 'tiltDown', cue: tiltError > 0 ? 'tilt-up' : 'tilt-down', degrees: Math.abs(tiltError) });
+            }
+            return instructions;
+        }
+    }
+
+    const POSITION_TOLERANCE = 0.05; // degrees; satellites closer than this share an orbital slot
+
+    // Catalog lookups by key, name (any language) or orbital position such as 7W, 7.0°W, -7 or 26E
+    class SatelliteCatalog {
+        constructor(database = SATELLITE_DATABASE) {
+            this.database = database;
+        }
+
+        get(key) {
+            return this.database[key] || null;
+        }
+
+        // { key, ...satellite } for every entry, east to west
+        list() {
+            return Object.keys(this.database)
+                .map(key => ({ key, ...this.database[key] }))
+                .sort((a, b) => b.longitude - a.longitude || a.key.localeCompare(b.key));
+        }
+
+        // Keys matching the query; co-located satellites all match a position
+        find(query) {
+            const text = String(query || '').trim().toLowerCase();
+            if (!text) return [];
+            if (this.database[text]) return [text];
+
+            const longitude = SatelliteCatalog.parsePosition(text);
+            if (longitude !== null) {
+                return this.list().filter(satellite => Math.abs(satellite.longitude - longitude) < POSITION_TOLERANCE).map(satellite => satellite.key);
+            }
+
+            const normalize = (value) => String(value).toLowerCase().replace(/[\s_-]+/g, '');
+            const needle = normalize(text);
+            return this.list()
+                .filter(satellite => normalize(satellite.key).includes(needle) ||
+                    Object.values(satellite.name || {}).some(name => normalize(name).includes(needle)))
+                .map(satellite => satellite.key);
+        }
+
+        // What changed from one keyed catalog to another: new keys, keys that are gone and moved slots
+        static diff(base, next) {
+            const changes = { added: [], moved: [], retired: [] };
+            Object.keys(next).forEach(key => {
+                if (!base[key]) {
+                    changes.added.push(key);
+                } else if (Math.abs(base[key].longitude - next[key].longitude) >= POSITION_TOLERANCE) {
+                    changes.moved.push({ key, from: base[key].longitude, to: next[key].longitude });
+                }
+            });
+            changes.retired = Object.keys(base).filter(key => !next[key]);
+            return changes;
+        }
+
+        // Longitude, east positive, from -7, "7W", "7.0°W", "-7W" or "30,5 E". A sign that contradicts
+        // the hemisphere ("-13E") is rejected rather than guessed.
+        static parsePosition(value) {
+            if (typeof value === 'number') return Number.isFinite(value) && Math.abs(value) <= 180 ? value : null;
+            if (typeof value !== 'string') return null;
+            const match = /^([+-])?(\d+(?:[.,]\d+)?)\s*°?\s*([ew])?$/i.exec(value.trim());
+            if (!match) return null;
+            const [, sign, digits, hemisphere] = match;
+            const degrees = Number(digits.replace(',', '.'));
+            if (degrees > 180) return null;
+            if (!hemisphere) return sign === '-' ? -degrees : degrees;
+            const west = hemisphere.toLowerCase() === 'w';
+            if (sign && (sign === '-') !== west) return null;
+            return west ? -degrees : degrees;
+        }
+
+        static formatPosition(longitude) {
+            return longitude >= 0 ? `${longitude}°E` : `${Math.abs(longitude)}°W`;
+        }
+    }
+
+    // Coordinate entry: decimal, DMS / DDM, UTM, MGRS and Maidenhead (WGS84)
+    //
+    // parse() returns { latitude, longitude, accuracy (m), format } or null. Accuracy is half the
+    // resolution implied by how precisely the value was typed.
+    const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+    const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+    const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+    class CoordinateParser {
+        constructor() {
+            const a = 6378137;
+            const f = 1 / 298.257223563;
+            const n = f / (2 - f);
+            this.k0 = 0.9996;
+            this.A = a / (1 + n) * (1 + n * n / 4 + Math.pow(n, 4) / 64);
+            this.alpha = [n / 2 - 2 * n * n / 3 + 5 * Math.pow(n, 3) / 16, 13 * n * n / 48 - 3 * Math.pow(n, 3) / 5, 61 * Math.pow(n, 3) / 240];
+            this.beta = [n / 2 - 2 * n * n / 3 + 37 * Math.pow(n, 3) / 96, n * n / 48 + Math.pow(n, 3) / 15, 17 * Math.pow(n, 3) / 480];
+            this.delta = [2 * n - 2 * n * n / 3 - 2 * Math.pow(n, 3), 7 * n * n / 3 - 8 * Math.pow(n, 3) / 5, 56 * Math.pow(n, 3) / 15];
+            this.eccentricityTerm = 2 * Math.sqrt(n) / (1 + n);
+        }
+
+        parse(text) {
+            const value = String(text || '').trim();
+            if (!value) return null;
+
+            return this.parseMaidenhead(value) ||
+                this.parseMgrs(value) ||
+                this.parseUtm(value) ||
+                this.parseDegrees(value);
+        }
+
+        // "30.0444, 31.2357", "30°02'40\"N 31°14'08\"E", "N30 02.667 E31 14.133"
+        parseDegrees(text) {
+            const tokens = text.toUpperCase()
+                .replace(/[°º'′’"″”:]/g, ' ')
+                .match(/[NSEW]|,|;|[-+]?\d+(?:\.\d+)?/g);
+            if (!tokens) return null;
+
+            const groups = [];
+            let current = { numbers: [], hemisphere: null };
+            const close = () => {
+                if (current.numbers.length > 0) groups.push(current);
+                current = { numbers: [], hemisphere: null };
+            };
+
+            tokens.forEach(token => {
+                if (/^[NSEW]$/.test(token)) {
+                    if (current.numbers.length > 0) {
+                        current.hemisphere = current.hemisphere || token;
+                        close();
+                    } else {
+                        current.hemisphere = token;
+                    }
+                } else if (token === ',' || token === ';') {
+                    close();
+                } else {
+                    // Only the last part of a group can carry decimals, and a sign starts a new one
+                    const last = current.numbers[current.numbers.length - 1];
+                    if (current.numbers.length === 3 || (last && last.includes('.')) || /^[-+]/.test(token)) close();
+                    current.numbers.push(token);
+                }
+            });
+            close();
+
+            if (groups.length !== 2) return null;
+
+            const values = groups.map(group => {
+                const [deg, min = '0', sec = '0'] = group.numbers;
+                const minutes = parseFloat(min);
+                const seconds = parseFloat(sec);
+                if (minutes >= 60 || seconds >= 60 || (group.numbers.length > 1 && /\./.test(deg))) return null;
+
+                const decimals = (group.numbers[group.numbers.length - 1].split('.')[1] || '').length;
+                const unit = [111320, 1852, 30.87][group.numbers.length - 1]; // metres per degree / minute / second
+                const negative = deg.startsWith('-') || group.hemisphere === 'S' || group.hemisphere === 'W';
+                const magnitude = Math.abs(parseFloat(deg)) + minutes / 60 + seconds / 3600;
+                return {
+                    value: negative ? -magnitude : magnitude,
+                    hemisphere: group.hemisphere,
+                    parts: group.numbers.length,
+                    resolution: unit * Math.pow(10, -decimals)
+                };
+            });
+            if (values.includes(null)) return null;
+
+            // Hemisphere letters decide the order; otherwise latitude comes first
+            let [lat, lon] = values;
+            if ((lat.hemisphere === 'E' || lat.hemisphere === 'W') || (lon.hemisphere === 'N' || lon.hemisphere === 'S')) {
+                [lat, lon] = [lon, lat];
+            }
+            if (Math.abs(lat.value) > 90 || Math.abs(lon.value) > 180) return null;
+
+            const parts = Math.max(lat.parts, lon.parts);
+            return {
+                latitude: lat.value,
+                longitude: lon.value,
+                accuracy: Math.max(1, Math.max(lat.resolution, lon.resolution) / 2),
+                format: ['decimal', 'ddm', 'dms'][parts - 1]
+            };
+        }
+
+        // "36R 331000 3323000", "36 R 331000mE 3323000mN"
+        parseUtm(text) {
+            const match = text.toUpperCase().match(/^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d{1,7}(?:\.\d+)?)\s*M?E?\s+(\d{1,8}(?:\.\d+)?)\s*M?N?$/);
+            if (!match) return null;
+
+            const zone = parseInt(match[1], 10);
+            if (zone < 1 || zone > 60) return null;
+
+            const position = this.fromUtm(zone, match[2] >= 'N', parseFloat(match[3]), parseFloat(match[4]));
+            if (!position) return null;
+            return { ...position, accuracy: 1, format: 'utm' };
+        }
+
+        // "36RUU3100023000", "36R UU 31000 23000"
+        parseMgrs(text) {
+            const match = text.toUpperCase().replace(/\s+/g, ' ').match(/^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/);
+            if (!match) return null;
+
+            const zone = parseInt(match[1], 10);
+            const band = match[2];
+            let digits = match[5] + match[6];
+            if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+
+            const half = digits.length / 2;
+            const resolution = Math.pow(10, 5 - half);
+            const columnIndex = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(match[3]);
+            let rowIndex = MGRS_ROW_LETTERS.indexOf(match[4]);
+            if (columnIndex < 0 || rowIndex < 0) return null;
+            if (zone % 2 === 0) rowIndex = (rowIndex + 15) % 20;
+
+            // Centre of the referenced square
+            const easting = (columnIndex + 1) * 100000 + (half ? parseInt(digits.slice(0, half), 10) * resolution : 0) + resolution / 2;
+            let northing = rowIndex * 100000 + (half ? parseInt(digits.slice(half), 10) * resolution : 0) + resolution / 2;
+
+            // The row letters repeat every 2000 km; the band says which cycle
+            const north = band >= 'N';
+            const bandLatitude = -80 + UTM_BANDS.indexOf(band) * 8;
+            const bandStart = this.toUtm(bandLatitude, (zone - 1) * 6 - 177, zone).northing;
+            const threshold = Math.floor(bandStart / 100000) * 100000;
+            while (northing < threshold) northing += 2000000;
+
+            const position = this.fromUtm(zone, north, easting, northing);
+            if (!position) return null;
+            return { ...position, accuracy: Math.max(1, resolution / 2), format: 'mgrs' };
+        }
+
+        // "KL70", "KL70ja", "KL70ja12"
+        parseMaidenhead(text) {
+            const locator = text.trim();
+            if (!/^[A-R]{2}(\d{2}([A-X]{2}(\d{2})?)?)?$/i.test(locator)) return null;
+
+            const upper = locator.toUpperCase();
+            const code = (i) => upper.charCodeAt(i) - 65;
+            let lon = code(0) * 20 - 180;
+            let lat = code(1) * 10 - 90;
+            let lonSize = 20;
+            let latSize = 10;
+
+            if (upper.length >= 4) {
+                lon += parseInt(upper[2], 10) * 2;
+                lat += parseInt(upper[3], 10);
+                lonSize = 2;
+                latSize = 1;
+            }
+            if (upper.length >= 6) {
+                lon += code(4) * 5 / 60;
+                lat += code(5) * 2.5 / 60;
+                lonSize = 5 / 60;
+                latSize = 2.5 / 60;
+            }
+            if (upper.length >= 8) {
+                lon += parseInt(upper[6], 10) * 0.5 / 60;
+                lat += parseInt(upper[7], 10) * 0.25 / 60;
+                lonSize = 0.5 / 60;
+                latSize = 0.25 / 60;
+            }
+
+            const latitude = lat + latSize / 2;
+            const accuracy = Math.hypot(latSize * 111320, lonSize * 111320 * Math.cos(latitude * Math.PI / 180)) / 2;
+            return { latitude, longitude: lon + lonSize / 2, accuracy, format: 'maidenhead' };
+        }
+
+        // Krüger series, good to well under a metre inside the zone
+        toUtm(latitude, longitude, forcedZone = null) {
+            const zone = forcedZone || CoordinateParser.utmZone(latitude, longitude);
+            const phi = latitude * Math.PI / 180;
+            const lambda = (longitude - ((zone - 1) * 6 - 177)) * Math.PI / 180;
+
+            const t = Math.sinh(Math.atanh(Math.sin(phi)) - this.eccentricityTerm * Math.atanh(this.eccentricityTerm * Math.sin(phi)));
+            const xiPrime = Math.atan2(t, Math.cos(lambda));
+            const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+            let easting = etaPrime;
+            let northing = xiPrime;
+            this.alpha.forEach((a, i) => {
+                const j = 2 * (i + 1);
+                easting += a * Math.cos(j * xiPrime) * Math.sinh(j * etaPrime);
+                northing += a * Math.sin(j * xiPrime) * Math.cosh(j * etaPrime);
+            });
+
+            return {
+                zone,
+                band: UTM_BANDS[Math.min(19, Math.max(0, Math.floor((latitude + 80) / 8)))],
+                easting: 500000 + this.k0 * this.A * easting,
+                northing: (latitude < 0 ? 10000000 : 0) + this.k0 * this.A * northing
+            };
+        }
+
+        // Six-degree zones, except where the grid bends: 32V is widened over south-west Norway and
+        // Svalbard (band X) uses the odd zones 31, 33, 35 and 37, each 9 or 12 degrees wide
+        static utmZone(latitude, longitude) {
+            if (latitude >= 56 && latitude < 64 && longitude >= 3 && longitude < 12) return 32;
+            if (latitude >= 72 && latitude < 84 && longitude >= 0 && longitude < 42) {
+                if (longitude < 9) return 31;
+                if (longitude < 21) return 33;
+                if (longitude < 33) return 35;
+                return 37;
+            }
+            return Math.min(60, Math.floor((longitude + 180) / 6) + 1);
+        }
+
+        fromUtm(zone, north, easting, northing) {
+            const xi = (northing - (north ? 0 : 10000000)) / (this.k0 * this.A);
+            const eta = (easting - 500000) / (this.k0 * this.A);
+            if (Math.abs(eta) > 0.2) return null; // far outside the zone
+
+            let xiPrime = xi;
+            let etaPrime = eta;
+            this.beta.forEach((b, i) => {
+                const j = 2 * (i + 1);
+                xiPrime -= b * Math.sin(j * xi) * Math.cosh(j * eta);
+                etaPrime -= b * Math.cos(j * xi) * Math.sinh(j * eta);
+            });
+
+            const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+            let phi = chi;
+            this.delta.forEach((d, i) => {
+                phi += d * Math.sin(2 * (i + 1) * chi);
+            });
+
+            const latitude = phi * 180 / Math.PI;
+            const longitude = (zone - 1) * 6 - 177 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) * 180 / Math.PI;
+            if (Math.abs(latitude) > 84.5) return null;
+            return { latitude, longitude };
+        }
+
+        // Display helpers
+        static formatDecimal(latitude, longitude, digits = 5) {
+            return `${latitude.toFixed(digits)}, ${longitude.toFixed(digits)}`;
+        }
+
+        static formatDms(latitude, longitude) {
+            const part = (value, positive, negative) => {
+                const abs = Math.abs(value);
+                let deg = Math.floor(abs);
+                let min = Math.floor((abs - deg) * 60);
+                let sec = Math.round(((abs - deg) * 60 - min) * 600) / 10;
+                if (sec >= 60) { sec = 0; min++; }
+                if (min >= 60) { min = 0; deg++; }
+                return `${deg}°${String(min).padStart(2, '0')}'${sec.toFixed(1).padStart(4, '0')}"${value >= 0 ? positive : negative}`;
+            };
+            return `${part(latitude, 'N', 'S')} ${part(longitude, 'E', 'W')}`;
+        }
+
+        formatUtm(latitude, longitude) {
+            const utm = this.toUtm(latitude, longitude);
+            return `${utm.zone}${utm.band} ${Math.round(utm.easting)} ${Math.round(utm.northing)}`;
+        }
+
+        formatMgrs(latitude, longitude, digits = 5) {
+            const utm = this.toUtm(latitude, longitude);
+            const column = MGRS_COLUMN_SETS[(utm.zone - 1) % 3][Math.floor(utm.easting / 100000) - 1];
+            let row = Math.floor(utm.northing / 100000) % 20;
+            if (utm.zone % 2 === 0) row = (row + 5) % 20;
+            const scale = Math.pow(10, 5 - digits);
+            const pad = (value) => String(Math.floor((value % 100000) / scale)).padStart(digits, '0');
+            return `${utm.zone}${utm.band} ${column}${MGRS_ROW_LETTERS[row]} ${pad(utm.easting)} ${pad(utm.northing)}`;
+        }
+
+        static formatMaidenhead(latitude, longitude) {
+            const lon = longitude + 180;
+            const lat = latitude + 90;
+            const letter = (value, base = 65) => String.fromCharCode(base + Math.floor(value));
+            return letter(lon / 20) + letter(lat / 10) +
+                Math.floor((lon % 20) / 2) + Math.floor(lat % 10) +
+                letter((lon % 2) * 12, 97) + letter((lat % 1) * 24, 97);
+        }
+    }
+
+    return {
+        SATELLITE_DATABASE,
+        CATALOG_GROUPS,
+        WMM_MODEL,
+        WMM_TEST_VECTORS,
+        GeomagneticModel,
+        LookAngleEngine,
+        AlignmentScorer,
+        SatelliteCatalog,
+        CoordinateParser
+    };
+}));
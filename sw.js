@@ -2,15 +2,44 @@ const CACHE_NAME = 'satalign-pro-enterprise-v3.0.0-production';
 const APP_VERSION = '3.0.0';
 const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 
+// Share target hand-off (kept outside the versioned caches so updates don't drop it)
+const SHARE_CACHE_NAME = 'satalign-share-target';
+const SHARED_CATALOG_URL = '/shared-satellite-data';
+const MAX_SHARED_FILE_SIZE = 1024 * 1024; // 1 MB
+
+// Satellite catalog updates (also outside the versioned caches, so app updates keep the installed catalog)
+const CATALOG_UPDATE_CACHE = 'satalign-catalog-updates';
+const CATALOG_UPDATE_FORMAT = 'satalign-catalog';
+const CATALOG_UPDATE_MAX_SIZE = 1024 * 1024; // 1 MB
+const CATALOG_UPDATE_MAX_ENTRIES = 500;
+const CATALOG_UPDATE_TIMEOUT = 15000;
+const CATALOG_UPDATE_MIN_INTERVAL = 60 * 60 * 1000; // between background checks
+const CATALOG_UPDATE_ENTRIES = {
+  config: '/catalog-update/config',
+  status: '/catalog-update/status',
+  current: '/catalog-update/current',
+  previous: '/catalog-update/previous'
+};
+
+// Catalog and geometry core shared with the page; its catalog is the baseline updates are diffed against
+importScripts('/satalign-core.js');
+const { SATELLITE_DATABASE, SatelliteCatalog } = self.SatAlignCore;
+
 // Resources to cache for offline functionality
 const STATIC_RESOURCES = [
   '/',
   '/index.html',
-  '/manifest.json'
+  '/satalign-core.js',
+  '/manifest.json',
+  '/lang/fr.json',
+  '/lang/tr.json',
+  '/lang/fa.json',
+  '/lang/ur.json'
 ];
 
 // Dynamic cache patterns
 const CACHE_PATTERNS = {
+  languagePacks: /\/lang\/[a-z]{2}\.json$/,
   images: /\.(jpg|jpeg|png|gif|webp|svg|ico)$/i,
   fonts: /\.(woff|woff2|ttf|eot)$/i,
   api: /^https:\/\/api\.satalign\.pro\//,
@@ -83,6 +112,12 @@ self.addEventListener('fetch', function(event) {
   const request = event.request;
   const url = new URL(request.url);
   
+  // Web Share Target: satellite lists shared from other apps
+  if (request.method === 'POST' && isOriginAllowed(url) && url.pathname === '/share') {
+    event.respondWith(handleShareTarget(request));
+    return;
+  }
+  
   // Skip non-GET requests and cross-origin requests (except for specific APIs)
   if (request.method !== 'GET' || (!isOriginAllowed(url) && !isApiRequest(url))) {
     return;
@@ -99,6 +134,41 @@ self.addEventListener('fetch', function(event) {
   );
 });
 
+// Store shared catalog files for the page, then hand over to it
+async function handleShareTarget(request) {
+  try {
+    const formData = await request.formData();
+    const files = formData.getAll('satellite_data').filter(file => file && typeof file !== 'string');
+    
+    const payload = {
+      title: formData.get('title') || '',
+      text: formData.get('text') || '',
+      url: formData.get('url') || '',
+      files: await Promise.all(
+        files
+          .filter(file => file.size <= MAX_SHARED_FILE_SIZE)
+          .map(async file => ({
+            name: file.name,
+            type: file.type,
+            content: await file.text()
+          }))
+      ),
+      timestamp: new Date().toISOString()
+    };
+    
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    await cache.put(SHARED_CATALOG_URL, new Response(JSON.stringify(payload), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    
+    console.log(`📥 Received ${payload.files.length} shared satellite file(s)`);
+    return Response.redirect('/?shared=catalog', 303);
+  } catch (error) {
+    console.error('❌ Share target handling failed:', error);
+    return Response.redirect('/', 303);
+  }
+}
+
 // Cache strategy determination
 function getCacheStrategy(request) {
   const url = new URL(request.url);
@@ -113,6 +183,11 @@ function getCacheStrategy(request) {
     return 'network-only';
   }
   
+  // Language packs - Served offline, refreshed in the background
+  if (CACHE_PATTERNS.languagePacks.test(url.pathname)) {
+    return 'stale-while-revalidate';
+  }
+  
   // Images - Cache first with network fallback
   if (CACHE_PATTERNS.images.test(url.pathname)) {
     return 'cache-first';
@@ -340,12 +415,25 @@ async function handleMessage(type, data, event) {
       break;
       
     case 'SYNC_SATELLITE_DATA':
-      await syncSatelliteData(data);
+      const syncStatus = await syncSatelliteData({ force: Boolean(data && data.force) });
       respondToClient(event, {
         type: 'SATELLITE_DATA_SYNCED',
+        status: syncStatus,
         timestamp: new Date().toISOString()
       });
       break;
+
+    case 'CONFIGURE_CATALOG_UPDATES':
+      respondToClient(event, await catalogUpdateReply(() => configureCatalogUpdates(data)));
+      break;
+
+    case 'GET_CATALOG_UPDATE':
+      respondToClient(event, await getCatalogUpdateState());
+      break;
+
+    case 'ROLLBACK_CATALOG':
+      respondToClient(event, await catalogUpdateReply(rollbackCatalogUpdate));
+      break;
       
     case 'LOG_USAGE':
       await logUsageData(data);
@@ -372,12 +460,27 @@ self.addEventListener('sync', function(event) {
     case 'cache-cleanup':
       event.waitUntil(performCacheCleanup());
       break;
+
+    case 'jobs-sync':
+      // Job records and the sync adapter live in the page; wake it up to push them
+      event.waitUntil(broadcastToClients({
+        type: 'JOBS_SYNC_REQUESTED',
+        timestamp: new Date().toISOString()
+      }));
+      break;
       
     default:
       console.warn(`Unknown sync tag: ${event.tag}`);
   }
 });
 
+// Periodic background sync keeps the catalog current while the app is closed
+self.addEventListener('periodicsync', function(event) {
+  if (event.tag === 'satellite-data-sync') {
+    event.waitUntil(syncSatelliteData());
+  }
+});
+
 // Professional push notification handling
 self.addEventListener('push', function(event) {
   console.log('📬 Push notification received');
@@ -552,30 +655,260 @@ async function clearApplicationCaches() {
   }
 }
 
-async function syncSatelliteData(data) {
+// Satellite catalog update channel
+//
+// The endpoint serves an envelope:
+//   { format: 'satalign-catalog', version: 7, published: '2026-10-01T00:00:00Z',
+//     payload: '{"satellites":{...}}', integrity: 'sha256-<base64>', signature: '<base64>' }
+// payload is the whole catalog as a JSON string, so the hash and signature cover exact bytes. The
+// signature is ECDSA P-256 / SHA-256 over the payload (raw r|s, as WebCrypto produces it). Both are
+// always checked, against the public key the page configures with the endpoint; an envelope without a
+// valid signature is never installed. satalign-catalog.js makes keys and packs, signs and serves envelopes.
+async function syncSatelliteData({ force = false } = {}) {
+  const checkedAt = new Date().toISOString();
+  const [config, lastStatus, current] = await Promise.all([
+    readCatalogEntry('config'),
+    readCatalogEntry('status'),
+    readCatalogEntry('current')
+  ]);
+  // A version that was rolled back is not installed again; only a newer one is
+  const skipVersion = lastStatus && lastStatus.skipVersion || 0;
+  let status;
+
   try {
-    console.log('🛰️ Syncing satellite data...');
-    
-    if (data && data.satellites) {
-      const cache = await caches.open(CACHE_NAME);
-      const response = new Response(JSON.stringify(data), {
-        headers: {
-          'Content-Type': 'application/json',
-          'sw-cached-time': Date.now().toString()
+    if (!config || !config.endpoint) {
+      status = { state: 'disabled' };
+    } else if (!force && lastStatus && ['current', 'updated'].includes(lastStatus.state) &&
+      Date.now() - Date.parse(lastStatus.checkedAt) < CATALOG_UPDATE_MIN_INTERVAL) {
+      // Only a successful check holds off the next one; offline and failed checks retry on the next sync
+      return lastStatus;
+    } else if (self.navigator && self.navigator.onLine === false) {
+      status = { state: 'offline', checkedAt };
+    } else {
+      console.log('🛰️ Checking for satellite catalog updates...');
+      const envelope = await fetchCatalogEnvelope(config.endpoint);
+      if (!envelope || typeof envelope !== 'object') {
+        throw new Error('Not a SatAlign catalog');
+      }
+      if (!Number.isInteger(envelope.version) || envelope.version < 1) {
+        throw new Error('Catalog version is missing');
+      }
+
+      if ((current && envelope.version <= current.version) || envelope.version <= skipVersion) {
+        status = { state: 'current', checkedAt, latest: envelope.version };
+      } else {
+        const satellites = await verifyCatalogEnvelope(envelope, config.publicKey);
+        const update = {
+          version: envelope.version,
+          published: envelope.published || null,
+          integrity: envelope.integrity,
+          installedAt: checkedAt,
+          satellites,
+          changes: SatelliteCatalog.diff(SATELLITE_DATABASE, satellites)
+        };
+
+        if (current) {
+          await writeCatalogEntry('previous', current);
         }
-      });
-      await cache.put('/satellite-data.json', response);
+        await writeCatalogEntry('current', update);
+        status = { state: 'updated', checkedAt, latest: update.version };
+
+        console.log(`✅ Installed satellite catalog v${update.version}`);
+        await announceCatalogUpdate(update);
+      }
     }
-    
-    await broadcastToClients({
-      type: 'SATELLITE_DATA_UPDATED',
-      timestamp: new Date().toISOString()
+  } catch (error) {
+    status = { state: error.offline ? 'offline' : 'failed', checkedAt, error: error.message };
+    console.error('❌ Satellite catalog update failed:', error);
+  }
+
+  status.skipVersion = skipVersion;
+  await writeCatalogEntry('status', status);
+  return status;
+}
+
+async function fetchCatalogEnvelope(endpoint) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CATALOG_UPDATE_TIMEOUT);
+
+  try {
+    const response = await fetch(endpoint, { cache: 'no-store', signal: controller.signal }).catch(error => {
+      // fetch() itself only rejects when the server cannot be reached
+      if (error.name !== 'AbortError') error.offline = true;
+      throw error;
     });
-    
-    console.log('✅ Satellite data sync completed');
+    if (!response.ok) {
+      throw new Error(`Catalog endpoint answered ${response.status}`);
+    }
+    const text = await response.text();
+    if (text.length > CATALOG_UPDATE_MAX_SIZE) {
+      throw new Error('Catalog update is too large');
+    }
+    return JSON.parse(text);
   } catch (error) {
-    console.error('❌ Satellite data sync failed:', error);
+    throw error.name === 'AbortError' ? new Error('Catalog endpoint timed out') : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Returns the satellites of a trustworthy envelope, throws with the reason otherwise
+async function verifyCatalogEnvelope(envelope, publicKey) {
+  if (!envelope || envelope.format !== CATALOG_UPDATE_FORMAT || typeof envelope.payload !== 'string') {
+    throw new Error('Not a SatAlign catalog');
+  }
+
+  const bytes = new TextEncoder().encode(envelope.payload);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  if (envelope.integrity !== `sha256-${toBase64(digest)}`) {
+    throw new Error('Catalog integrity check failed');
+  }
+
+  if (!publicKey) {
+    throw new Error('No catalog signing key is configured');
+  }
+  if (typeof envelope.signature !== 'string') {
+    throw new Error('Catalog is not signed');
+  }
+  const key = await crypto.subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  const valid = await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, fromBase64(envelope.signature), bytes);
+  if (!valid) {
+    throw new Error('Catalog signature is not valid');
+  }
+
+  const { satellites } = JSON.parse(envelope.payload);
+  if (!satellites || typeof satellites !== 'object' || Array.isArray(satellites)) {
+    throw new Error('Catalog has no satellites');
+  }
+  const keys = Object.keys(satellites);
+  if (keys.length === 0 || keys.length > CATALOG_UPDATE_MAX_ENTRIES) {
+    throw new Error(`Catalog must list 1 to ${CATALOG_UPDATE_MAX_ENTRIES} satellites`);
   }
+  keys.forEach(key => {
+    const satellite = satellites[key];
+    const valid = /^[a-z0-9][a-z0-9-]*$/.test(key) && satellite && satellite.name && typeof satellite.name.en === 'string' &&
+      Number.isFinite(satellite.longitude) && Math.abs(satellite.longitude) <= 180;
+    if (!valid) {
+      throw new Error(`Catalog entry "${key}" is not valid`);
+    }
+  });
+  return satellites;
+}
+
+// Back to the previous catalog, or to the bundled one when there is none
+async function rollbackCatalogUpdate() {
+  const [current, previous, status] = await Promise.all([
+    readCatalogEntry('current'),
+    readCatalogEntry('previous'),
+    readCatalogEntry('status')
+  ]);
+  if (!current) {
+    return false;
+  }
+
+  await writeCatalogEntry('current', previous);
+  await writeCatalogEntry('previous', null);
+  await writeCatalogEntry('status', {
+    ...(status || {}),
+    state: 'rolledBack',
+    skipVersion: Math.max(current.version, (status && status.skipVersion) || 0)
+  });
+
+  console.log(`↩️ Rolled the satellite catalog back from v${current.version}`);
+  await broadcastToClients({
+    type: 'CATALOG_UPDATED',
+    rollback: true,
+    from: current.version,
+    update: previous,
+    timestamp: new Date().toISOString()
+  });
+  return true;
+}
+
+async function configureCatalogUpdates(config = {}) {
+  const endpoint = config.endpoint ? new URL(config.endpoint, self.location.origin) : null;
+  if (endpoint && !['http:', 'https:'].includes(endpoint.protocol)) {
+    throw new Error(`Unsupported catalog endpoint: ${config.endpoint}`);
+  }
+  if (endpoint && !config.publicKey) {
+    throw new Error('Catalog updates need a signing key');
+  }
+  await writeCatalogEntry('config', {
+    endpoint: endpoint ? endpoint.href : null,
+    publicKey: config.publicKey || null
+  });
+}
+
+// Runs a catalog request from a page and replies with the resulting state, plus error when it was refused
+async function catalogUpdateReply(action) {
+  try {
+    await action();
+    return await getCatalogUpdateState();
+  } catch (error) {
+    console.error('❌ Catalog update request failed:', error);
+    return { ...(await getCatalogUpdateState()), error: error.message };
+  }
+}
+
+// Everything a page needs to apply and describe the installed catalog, straight from the cache
+async function getCatalogUpdateState() {
+  const [config, status, current, previous] = await Promise.all(
+    ['config', 'status', 'current', 'previous'].map(readCatalogEntry)
+  );
+  return {
+    type: 'CATALOG_UPDATE_STATE',
+    endpoint: config ? config.endpoint : null,
+    status: status || { state: 'idle' },
+    update: current,
+    previous: previous ? { version: previous.version, published: previous.published } : null
+  };
+}
+
+// Open pages get the whole update; otherwise a notification carries the summary
+async function announceCatalogUpdate(update) {
+  await broadcastToClients({
+    type: 'CATALOG_UPDATED',
+    update,
+    timestamp: new Date().toISOString()
+  });
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0 && self.Notification && self.Notification.permission === 'granted') {
+    const { added, moved, retired } = update.changes;
+    await self.registration.showNotification('SatAlign Pro Enterprise', {
+      body: `Satellite catalog v${update.version}: ${added.length} added, ${moved.length} moved, ${retired.length} retired`,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/badge-72x72.png',
+      tag: 'catalog-update',
+      data: { url: '/', timestamp: Date.now() }
+    });
+  }
+}
+
+async function readCatalogEntry(name) {
+  const cache = await caches.open(CATALOG_UPDATE_CACHE);
+  const response = await cache.match(CATALOG_UPDATE_ENTRIES[name]);
+  return response ? response.json() : null;
+}
+
+// null removes the entry
+async function writeCatalogEntry(name, value) {
+  const cache = await caches.open(CATALOG_UPDATE_CACHE);
+  if (value === null) {
+    await cache.delete(CATALOG_UPDATE_ENTRIES[name]);
+    return;
+  }
+  await cache.put(CATALOG_UPDATE_ENTRIES[name], new Response(JSON.stringify(value), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
 }
 
 async function syncTelemetryData() {
@@ -877,15 +1210,6 @@ self.addEventListener('message', function(event) {
         });
       });
       break;
-
-    case 'UPDATE_SATELLITE_DATA':
-      updateSatelliteData(data).then(result => {
-        event.ports[0].postMessage({
-          type: 'SATELLITE_DATA_UPDATED',
-          success: result
-        });
-      });
-      break;
       
     default:
       console.log('نوع رسالة غير معروف:', type);
@@ -936,52 +1260,11 @@ async function clearAllCaches() {
   }
 }
 
-// تحديث بيانات الأقمار الصناعية
-async function updateSatelliteData(data) {
-  try {
-    console.log('🛰️ تحديث بيانات الأقمار الصناعية...');
-    
-    // هنا يمكن إضافة منطق حفظ بيانات الأقمار الجديدة
-    const cache = await caches.open(CACHE_NAME);
-    
-    if (data && data.satellites) {
-      // حفظ البيانات الجديدة في ذاكرة التخزين المؤقت
-      const response = new Response(JSON.stringify(data), {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      await cache.put('/satellite-data.json', response);
-    }
-    
-    const timestamp = new Date().toISOString();
-    console.log('✅ اكتمل تحديث بيانات الأقمار الصناعية في:', timestamp);
-    
-    // إشعار العملاء بالتحديث
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({
-        type: 'SATELLITE_DATA_UPDATED',
-        timestamp
-      });
-    });
-
-    return true;
-  } catch (error) {
-    console.error('❌ فشل في تحديث بيانات الأقمار الصناعية:', error);
-    return false;
-  }
-}
-
 // مزامنة خلفية احترافية لتحديثات البيانات
 self.addEventListener('sync', function(event) {
   console.log('🔄 تم تشغيل مزامنة الخلفية:', event.tag);
   
   switch (event.tag) {
-    case 'satellite-data-sync':
-      event.waitUntil(syncSatelliteData());
-      break;
-      
     case 'usage-analytics':
       event.waitUntil(syncUsageAnalytics());
       break;
@@ -995,29 +1278,6 @@ self.addEventListener('sync', function(event) {
   }
 });
 
-// مزامنة قاعدة بيانات الأقمار الصناعية
-async function syncSatelliteData() {
-  try {
-    console.log('🛰️ مزامنة بيانات الأقمار الصناعية...');
-    
-    // هذا المكان يمكن أن يحتوي على منطق جلب بيانات محدثة من الخادم
-    // في الوقت الحالي، سنقوم بتسجيل العملية فقط
-    const timestamp = new Date().toISOString();
-    console.log('✅ اكتملت مزامنة بيانات الأقمار الصناعية في:', timestamp);
-    
-    // إشعار العملاء بالتحديث
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({
-        type: 'SATELLITE_DATA_SYNCED',
-        timestamp
-      });
-    });
-  } catch (error) {
-    console.error('❌ فشلت مزامنة بيانات الأقمار الصناعية:', error);
-  }
-}
-
 // مزامنة تحليلات الاستخدام (مع مراعاة الخصوصية)
 async function syncUsageAnalytics() {
   try {
@@ -0,0 +1,200 @@
+// The service worker's catalog update channel: envelope verification (integrity hash and signature),
+// the version diff, rollback and skipping a rolled-back version. sw.js runs in a vm with an in-memory
+// Cache Storage and a fetch that serves envelopes packed and signed by satalign-catalog.js.
+//
+//   node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { SATELLITE_DATABASE } = require('../satalign-core.js');
+const { keygen, pack } = require('../satalign-catalog.js');
+
+const WORKER = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+const CORE = fs.readFileSync(path.join(__dirname, '..', 'satalign-core.js'), 'utf8');
+const ENDPOINT = 'https://catalog.test/latest.json';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'satalign-catalog-'));
+const keyFile = path.join(dir, 'signing-key.json');
+const publicKey = keygen({ out: keyFile }).then(JSON.parse);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Everything sw.js touches at load and on the update path; the worker global is the context itself
+function loadWorker() {
+    const stores = new Map();
+    const caches = {
+        async open(name) {
+            if (!stores.has(name)) stores.set(name, new Map());
+            const entries = stores.get(name);
+            return {
+                async match(url) { return entries.has(url) ? new Response(entries.get(url)) : undefined; },
+                async put(url, response) { entries.set(url, await response.text()); },
+                async delete(url) { return entries.delete(url); }
+            };
+        },
+        async keys() { return [...stores.keys()]; },
+        async delete(name) { return stores.delete(name); }
+    };
+
+    let served = null;
+    const worker = {
+        caches,
+        fetch: async () => new Response(served),
+        crypto: globalThis.crypto, TextEncoder, Response, URL, AbortController, btoa, atob,
+        setTimeout, clearTimeout, setInterval: () => 0,
+        console: { log() {}, warn() {}, error() {} },
+        location: { origin: 'https://app.test' },
+        navigator: { onLine: true },
+        clients: { matchAll: async () => [], claim: async () => {} },
+        registration: { showNotification: async () => {} },
+        Notification: { permission: 'default' },
+        addEventListener() {},
+        skipWaiting: async () => {}
+    };
+    worker.self = worker;
+    worker.importScripts = () => vm.runInContext(CORE, worker);
+    vm.createContext(worker);
+    vm.runInContext(WORKER, worker);
+    return { worker, serve: envelope => { served = JSON.stringify(envelope); } };
+}
+
+async function envelope(version, satellites = SATELLITE_DATABASE, key = keyFile) {
+    await publicKey;
+    const file = path.join(dir, `catalog-${version}.json`);
+    fs.writeFileSync(file, JSON.stringify(satellites));
+    return JSON.parse(await pack({ files: [file], version, key }));
+}
+
+async function configuredWorker() {
+    const loaded = loadWorker();
+    await loaded.worker.configureCatalogUpdates({ endpoint: ENDPOINT, publicKey: await publicKey });
+    return loaded;
+}
+
+// Objects from the vm have its prototypes, which deepStrictEqual tells apart from this realm's
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('a signed envelope verifies to its satellites', async () => {
+    const { worker } = loadWorker();
+    const satellites = await worker.verifyCatalogEnvelope(await envelope(2), await publicKey);
+    assert.deepStrictEqual(plain(satellites), plain(SATELLITE_DATABASE));
+});
+
+test('a payload that does not match its integrity hash is refused', async () => {
+    const { worker } = loadWorker();
+    const tampered = await envelope(2);
+    tampered.payload = tampered.payload.replace('"longitude":-7,', '"longitude":-8,');
+    await assert.rejects(worker.verifyCatalogEnvelope(tampered, await publicKey), /integrity check failed/);
+});
+
+test('a payload with a recomputed hash still fails the signature', async () => {
+    const { worker } = loadWorker();
+    const tampered = await envelope(2);
+    tampered.payload = tampered.payload.replace('"longitude":-7,', '"longitude":-8,');
+    tampered.integrity = `sha256-${crypto.createHash('sha256').update(tampered.payload).digest('base64')}`;
+    await assert.rejects(worker.verifyCatalogEnvelope(tampered, await publicKey), /signature is not valid/);
+});
+
+test('unsigned envelopes, other keys and a missing key are refused', async () => {
+    const { worker } = loadWorker();
+    const unsigned = await envelope(2);
+    delete unsigned.signature;
+    await assert.rejects(worker.verifyCatalogEnvelope(unsigned, await publicKey), /not signed/);
+
+    const otherKey = path.join(dir, 'other-key.json');
+    await keygen({ out: otherKey });
+    await assert.rejects(worker.verifyCatalogEnvelope(await envelope(2, SATELLITE_DATABASE, otherKey), await publicKey), /signature is not valid/);
+
+    await assert.rejects(worker.verifyCatalogEnvelope(await envelope(2), null), /No catalog signing key/);
+    await assert.rejects(worker.configureCatalogUpdates({ endpoint: ENDPOINT }), /need a signing key/);
+});
+
+test('a newer version installs with its diff from the bundled catalog', async () => {
+    const { worker, serve } = await configuredWorker();
+    const satellites = JSON.parse(JSON.stringify(SATELLITE_DATABASE));
+    delete satellites['badr-6'];
+    satellites['nilesat-201'].longitude = -7.5;
+    satellites['test-sat-1'] = { name: { en: 'Test Sat 1' }, longitude: 12.5 };
+    serve(await envelope(2, satellites));
+
+    const status = await worker.syncSatelliteData({ force: true });
+    assert.strictEqual(status.state, 'updated');
+    const state = await worker.getCatalogUpdateState();
+    assert.strictEqual(state.update.version, 2);
+    assert.deepStrictEqual(plain(state.update.changes), {
+        added: ['test-sat-1'],
+        moved: [{ key: 'nilesat-201', from: -7, to: -7.5 }],
+        retired: ['badr-6']
+    });
+});
+
+test('the same or an older version is reported as current and changes nothing', async () => {
+    const { worker, serve } = await configuredWorker();
+    serve(await envelope(3));
+    await worker.syncSatelliteData({ force: true });
+
+    for (const version of [3, 2]) {
+        serve(await envelope(version));
+        const status = await worker.syncSatelliteData({ force: true });
+        assert.strictEqual(status.state, 'current');
+        assert.strictEqual(status.latest, version);
+        assert.strictEqual((await worker.getCatalogUpdateState()).update.version, 3);
+    }
+});
+
+test('a refused envelope leaves the installed catalog in place', async () => {
+    const { worker, serve } = await configuredWorker();
+    serve(await envelope(2));
+    await worker.syncSatelliteData({ force: true });
+
+    const unsigned = await envelope(3);
+    delete unsigned.signature;
+    serve(unsigned);
+    const status = await worker.syncSatelliteData({ force: true });
+    assert.strictEqual(status.state, 'failed');
+    assert.match(status.error, /not signed/);
+    assert.strictEqual((await worker.getCatalogUpdateState()).update.version, 2);
+});
+
+test('rollback returns to the previous catalog, then to the bundled one', async () => {
+    const { worker, serve } = await configuredWorker();
+    serve(await envelope(2));
+    await worker.syncSatelliteData({ force: true });
+    serve(await envelope(3));
+    await worker.syncSatelliteData({ force: true });
+
+    assert.strictEqual(await worker.rollbackCatalogUpdate(), true);
+    let state = await worker.getCatalogUpdateState();
+    assert.strictEqual(state.update.version, 2);
+    assert.strictEqual(state.previous, null);
+    assert.strictEqual(state.status.state, 'rolledBack');
+
+    assert.strictEqual(await worker.rollbackCatalogUpdate(), true);
+    state = await worker.getCatalogUpdateState();
+    assert.strictEqual(state.update, null);
+    assert.strictEqual(state.status.skipVersion, 3);
+
+    assert.strictEqual(await worker.rollbackCatalogUpdate(), false);
+});
+
+test('a rolled-back version is skipped until a newer one is published', async () => {
+    const { worker, serve } = await configuredWorker();
+    serve(await envelope(2));
+    await worker.syncSatelliteData({ force: true });
+    await worker.rollbackCatalogUpdate();
+
+    let status = await worker.syncSatelliteData({ force: true });
+    assert.strictEqual(status.state, 'current');
+    assert.strictEqual((await worker.getCatalogUpdateState()).update, null);
+
+    serve(await envelope(3));
+    status = await worker.syncSatelliteData({ force: true });
+    assert.strictEqual(status.state, 'updated');
+    assert.strictEqual(status.skipVersion, 2);
+    assert.strictEqual((await worker.getCatalogUpdateState()).update.version, 3);
+});
@@ -0,0 +1,39 @@
+// Satellite catalog lookups shared by the page, the deep-link router, the importer and the CLI
+//
+//   node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SatelliteCatalog } = require('../satalign-core.js');
+
+test('parsePosition reads the ways positions are written', () => {
+    const cases = [
+        ['7W', -7], ['7.0°W', -7], ['7 w', -7], ['-7W', -7], ['-7', -7], [-7, -7],
+        ['26E', 26], ['+26E', 26], ['30.5 E', 30.5], ['30,5E', 30.5], ['13,5', 13.5], ['0', 0], [180, 180]
+    ];
+    for (const [input, longitude] of cases) {
+        assert.strictEqual(SatelliteCatalog.parsePosition(input), longitude, JSON.stringify(input));
+    }
+});
+
+test('parsePosition rejects contradictory signs and out-of-range values', () => {
+    for (const input of ['-13E', '+7W', '181E', '-190', 200, NaN, Infinity, null, undefined, {}, '', 'nilesat', '7WE', '7.5.1']) {
+        assert.strictEqual(SatelliteCatalog.parsePosition(input), null, String(input));
+    }
+});
+
+test('find returns co-located satellites east to west, then by key', () => {
+    const catalog = new SatelliteCatalog({
+        'b-sat': { name: { en: 'B Sat' }, longitude: 13 },
+        'a-sat': { name: { en: 'A Sat' }, longitude: 13 },
+        'c-sat': { name: { en: 'C Sat' }, longitude: 13.02 },
+        'west-sat': { name: { en: 'West Sat' }, longitude: -7 }
+    });
+    assert.deepStrictEqual(catalog.find('13E'), ['c-sat', 'a-sat', 'b-sat']);
+    assert.deepStrictEqual(catalog.find('13,0E'), ['c-sat', 'a-sat', 'b-sat']);
+    assert.deepStrictEqual(catalog.find('-7'), ['west-sat']);
+    assert.deepStrictEqual(catalog.find('-13E'), []);
+    assert.deepStrictEqual(catalog.find('A-SAT'), ['a-sat']);
+    assert.deepStrictEqual(catalog.find('sat'), ['c-sat', 'a-sat', 'b-sat', 'west-sat']);
+});
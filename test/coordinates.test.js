@@ -0,0 +1,59 @@
+// UTM and MGRS zones, including the Norway and Svalbard exceptions, and round trips through the parser
+//
+//   node --test test/            (or: node test/coordinates.test.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CoordinateParser } = require('../satalign-core.js');
+
+const parser = new CoordinateParser();
+
+// [latitude, longitude, zone and band]
+const ZONES = [
+    [30.0444, 31.2357, '36R'],   // Cairo, a regular zone
+    [-33.8688, 151.2093, '56H'], // Sydney
+    [55.9, 5, '31U'],            // south of band V, still regular
+    [60.5, 5.5, '32V'],          // widened 32V over south-west Norway
+    [60.5, 2.9, '31V'],          // west of the 32V exception
+    [60.5, 11.9, '32V'],
+    [78.2, 8.9, '31X'],          // Svalbard: 31X runs to 9°E
+    [78.2, 15.6, '33X'],         // Longyearbyen
+    [74, 22, '35X'],
+    [79, 32.9, '35X'],
+    [74, 40, '37X'],
+    [74, 43, '38X']              // east of the Svalbard exceptions
+];
+
+// Metres between two nearby points
+const distance = (a, b) => Math.hypot(
+    (a.latitude - b.latitude) * 111320,
+    (a.longitude - b.longitude) * 111320 * Math.cos(a.latitude * Math.PI / 180)
+);
+
+for (const [latitude, longitude, expected] of ZONES) {
+    test(`${latitude}, ${longitude} is in ${expected}`, () => {
+        const utm = parser.toUtm(latitude, longitude);
+        assert.strictEqual(`${utm.zone}${utm.band}`, expected);
+        assert.ok(parser.formatUtm(latitude, longitude).startsWith(`${expected} `));
+        assert.ok(parser.formatMgrs(latitude, longitude).startsWith(`${expected} `));
+    });
+
+    test(`${expected} round trip through UTM and MGRS`, () => {
+        const site = { latitude, longitude };
+        const fromUtm = parser.parse(parser.formatUtm(latitude, longitude));
+        assert.strictEqual(fromUtm.format, 'utm');
+        assert.ok(distance(site, fromUtm) < 1, `UTM round trip off by ${distance(site, fromUtm).toFixed(2)} m`);
+
+        const fromMgrs = parser.parse(parser.formatMgrs(latitude, longitude));
+        assert.strictEqual(fromMgrs.format, 'mgrs');
+        assert.ok(distance(site, fromMgrs) < 2, `MGRS round trip off by ${distance(site, fromMgrs).toFixed(2)} m`);
+    });
+}
+
+test('a value typed in a standard zone still parses inside an exception area', () => {
+    // GPS units set to a fixed zone report 31V for western Norway; that position is still valid
+    const utm = parser.toUtm(60.5, 5.5, 31);
+    const parsed = parser.parse(`31V ${Math.round(utm.easting)} ${Math.round(utm.northing)}`);
+    assert.ok(distance({ latitude: 60.5, longitude: 5.5 }, parsed) < 1);
+});
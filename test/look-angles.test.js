@@ -0,0 +1,88 @@
+// Look angles against dish-pointing reference values
+//
+//   node --test test/            (or: node test/look-angles.test.js)
+//
+// Two independent references. The published ones are the worked pointing example in Roddy, Satellite
+// Communications (4th ed., McGraw-Hill, ch. 3) and the textbook geostationary constants: 35,786 km
+// above the equator, 41,679 km to the horizon, out of sight beyond about 81.3° latitude.
+//
+// The site table comes from the classic spherical-Earth pointing formulas that installer pointing
+// tables are printed from (Re/r = 6378.137/42164.17, geodetic latitude, no refraction). The engine
+// works on the WGS84 ellipsoid, which moves azimuth and elevation by under 0.04° and skew by up to
+// 0.2° (the tilt of the local vertical), so the tolerances sit just above that.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LookAngleEngine } = require('../satalign-core.js');
+
+// [site, latitude, longitude, satellite longitude, azimuth, elevation, skew]
+const POINTING_TABLE = [
+    ['Cairo', 30.0444, 31.2357, -7, 237.57, 35.79, 46.94],
+    ['London', 51.5074, -0.1278, 19.2, 155.86, 28.32, -14.75],
+    ['Riyadh', 24.7136, 46.6753, 30.5, 214.75, 55.88, 31.19],
+    ['Istanbul', 41.0082, 28.9784, 42, 160.59, 40.74, -14.53],
+    ['Madrid', 40.4168, -3.7038, -30, 217.31, 36.02, 27.48],
+    ['Casablanca', 33.5731, -7.5898, 26, 129.78, 37.01, -39.81],
+    ['New York', 40.7128, -74.006, -101, 217.99, 35.40, 27.81],
+    ['Sydney', -33.8688, 151.2093, 156, 8.55, 50.29, 7.09],
+    ['Johannesburg', -26.2041, 28.0473, 68.5, 62.62, 36.03, 52.82]
+];
+
+const TOLERANCE = { azimuth: 0.05, elevation: 0.05, skew: 0.25 }; // degrees
+
+const engine = new LookAngleEngine();
+
+for (const [site, latitude, longitude, satellite, azimuth, elevation, skew] of POINTING_TABLE) {
+    const position = satellite >= 0 ? `${satellite}°E` : `${-satellite}°W`;
+
+    test(`${site} to ${position}`, () => {
+        const angles = engine.calculate({ latitude, longitude, altitude: 0 }, satellite);
+        assert.ok(angles.visible, 'satellite should be above the horizon');
+        assert.ok(Math.abs(angles.azimuth - azimuth) <= TOLERANCE.azimuth, `azimuth ${angles.azimuth.toFixed(2)}°, table ${azimuth}°`);
+        assert.ok(Math.abs(angles.elevation - elevation) <= TOLERANCE.elevation, `elevation ${angles.elevation.toFixed(2)}°, table ${elevation}°`);
+        assert.ok(Math.abs(angles.skewHorizontal - skew) <= TOLERANCE.skew, `skew ${angles.skewHorizontal.toFixed(2)}°, table ${skew}°`);
+    });
+}
+
+// Roddy: station at 35°N 100°W, satellite at 90°W. The book rounds elevation to the degree and uses a
+// spherical Earth of radius 6371 km for the range.
+test('published worked example: 35°N 100°W to 90°W', () => {
+    const angles = engine.calculate({ latitude: 35, longitude: -100, altitude: 0 }, -90);
+    assert.ok(Math.abs(angles.azimuth - 162.9) <= 0.05, `azimuth ${angles.azimuth.toFixed(2)}°, book 162.9°`);
+    assert.ok(Math.abs(angles.elevation - 48) <= 0.5, `elevation ${angles.elevation.toFixed(2)}°, book 48°`);
+    assert.ok(Math.abs(angles.slantRange - 37215) <= 25, `range ${angles.slantRange.toFixed(0)} km, book 37,215 km`);
+});
+
+test('published geostationary constants', () => {
+    const subSatellite = engine.calculate({ latitude: 0, longitude: 20, altitude: 0 }, 20);
+    assert.ok(Math.abs(subSatellite.elevation - 90) < 1e-6);
+    assert.ok(Math.abs(subSatellite.slantRange - 35786) < 1, `altitude ${subSatellite.slantRange.toFixed(0)} km`);
+
+    // Beyond ~81.3° of latitude the satellite on the site meridian drops below the horizon
+    const edge = engine.calculate({ latitude: 81.3, longitude: 0, altitude: 0 }, 0);
+    assert.ok(Math.abs(edge.elevation) < 0.1, `elevation at 81.3° ${edge.elevation.toFixed(3)}°`);
+    assert.ok(Math.abs(edge.slantRange - 41679) < 15, `range to the horizon ${edge.slantRange.toFixed(0)} km`);
+    assert.ok(engine.calculate({ latitude: 81.5, longitude: 0, altitude: 0 }, 0).elevation < 0);
+});
+
+test('satellite on the site meridian is due south with no skew', () => {
+    const angles = engine.calculate({ latitude: 45, longitude: 13, altitude: 0 }, 13);
+    assert.ok(Math.abs(angles.azimuth - 180) < 1e-6);
+    assert.ok(Math.abs(angles.skewHorizontal) < 1e-6);
+});
+
+test('satellite beyond the horizon is reported as not visible', () => {
+    const angles = engine.calculate({ latitude: 51.5074, longitude: -0.1278, altitude: 0 }, 110);
+    assert.ok(angles.elevation < 0);
+    assert.strictEqual(angles.visible, false);
+});
+
+test('lookAngles rounds to the values the app shows', () => {
+    const site = { latitude: 30.0444, longitude: 31.2357, altitude: 0 };
+    const summary = engine.lookAngles(site, -7);
+    const angles = engine.calculate(site, -7);
+    assert.strictEqual(summary.azimuth, Math.round(angles.azimuth * 100) / 100);
+    assert.strictEqual(summary.distance, Math.round(angles.slantRange));
+    assert.strictEqual(summary.valid, true);
+});
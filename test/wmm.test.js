@@ -0,0 +1,31 @@
+// Magnetic declination against the official WMM-2025 test values
+//
+//   node --test test/            (or: node test/wmm.test.js)
+//
+// The vectors are the ones NOAA/BGS publish with the model coefficients. Tolerances are the precision
+// the values are published to: 0.01° for declination and inclination, 0.1 nT for total intensity.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { WMM_TEST_VECTORS, GeomagneticModel } = require('../satalign-core.js');
+
+const model = new GeomagneticModel();
+
+test('all 16 official WMM-2025 test values are covered', () => {
+    assert.strictEqual(WMM_TEST_VECTORS.length, 16);
+});
+
+for (const [year, altitude, latitude, longitude, declination, inclination, totalIntensity] of WMM_TEST_VECTORS) {
+    test(`${year} at ${latitude}, ${longitude}, ${altitude} km`, () => {
+        const field = model.calculate(latitude, longitude, altitude, year);
+        assert.ok(Math.abs(field.declination - declination) <= 0.01, `declination ${field.declination} vs ${declination}`);
+        assert.ok(Math.abs(field.inclination - inclination) <= 0.01, `inclination ${field.inclination} vs ${inclination}`);
+        assert.ok(Math.abs(field.totalIntensity - totalIntensity) <= 0.1, `total intensity ${field.totalIntensity} vs ${totalIntensity}`);
+        assert.ok(field.withinValidity);
+    });
+}
+
+test('verify() reports every vector as passing', () => {
+    assert.deepStrictEqual(model.verify(), { passed: true, total: 16, failures: [] });
+});